@@ -0,0 +1,4825 @@
+// app.js
+// Builds the API: an Express app serving the leaderboard and nominations data
+// from a MongoDB connection. standalone-api.js runs it as a server; tests can
+// create their own with a test config and database.
+
+import express from 'express';
+import cors from 'cors';
+import mongoose from 'mongoose';
+import { join } from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import archiver from 'archiver';
+import {
+    monthlyLeaderboardPipeline,
+    yearlyLeaderboardPipeline,
+    shadowLeaderboardPipeline,
+    shadowProgressCountsPipeline,
+    nominationsPipeline,
+    monthlyProgressPipeline
+} from './leaderboard-pipelines.js';
+import { createGameInfoProvider } from './game-info.js';
+import { toCsv } from './csv.js';
+import { diffLeaderboards, tallyBallot } from './standings.js';
+import { LOG_LEVELS } from './config.js';
+
+// Create the app for a config (see loadConfig) and a mongoose connection, which
+// doesn't need to be open yet. Returns the Express app, its logger, and start()
+// and stop() for the background work. Throws if the config can't be used.
+export function createApp(config, connection) {
+    // Create Express app
+    const app = express();
+    
+    // Cache files live in config.cacheDir
+    const CACHE_DIR = config.cacheDir;
+    if (!fs.existsSync(CACHE_DIR)) {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+    
+    // Logging
+    // Every line is a JSON object. Lines written while handling a request carry
+    // its request ID, so they can be correlated with each other and the response.
+    const LOG_LEVEL = config.logLevel;
+    
+    const requestContext = new AsyncLocalStorage();
+    
+    // Helper function to write one log line
+    function writeLog(level, message, fields = {}) {
+        if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+        
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: message
+        };
+        
+        const context = requestContext.getStore();
+        if (context) entry.requestId = context.requestId;
+        
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error
+                ? { name: value.name, message: value.message, stack: value.stack }
+                : value;
+        }
+        
+        const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(JSON.stringify(entry) + '\n');
+    }
+    
+    const logger = {
+        debug: (message, fields) => writeLog('debug', message, fields),
+        info: (message, fields) => writeLog('info', message, fields),
+        warn: (message, fields) => writeLog('warn', message, fields),
+        error: (message, fields) => writeLog('error', message, fields)
+    };
+    
+    // Metrics, served in Prometheus text format at /metrics
+    const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+    
+    function createMetric(type, name, help) {
+        return { type, name, help, series: new Map() };
+    }
+    
+    const metrics = {
+        httpRequests: createMetric('counter', 'http_requests_total', 'HTTP requests by route and status'),
+        httpDuration: createMetric('histogram', 'http_request_duration_seconds', 'HTTP request latency by route'),
+        cacheRequests: createMetric('counter', 'cache_requests_total', 'Cache lookups by cache and result (hit, stale or miss)'),
+        mongoDuration: createMetric('histogram', 'mongodb_command_duration_seconds', 'MongoDB command duration by collection and command')
+    };
+    
+    // Helper function to get a metric's series for a set of labels, creating it if needed
+    function getMetricSeries(metric, labels) {
+        const key = JSON.stringify(labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, metric.type === 'histogram'
+                ? { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+        return metric.series.get(key);
+    }
+    
+    // Helper function to add to a counter
+    function incrementCounter(metric, labels) {
+        getMetricSeries(metric, labels).value++;
+    }
+    
+    // Helper function to record a value in a histogram
+    function observeHistogram(metric, labels, value) {
+        const series = getMetricSeries(metric, labels);
+        DURATION_BUCKETS.forEach((bound, index) => {
+            if (value <= bound) series.buckets[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+    
+    // Helper function to format labels as {name="value",...}
+    function formatMetricLabels(labels) {
+        const pairs = Object.entries(labels).map(([name, value]) =>
+            `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+        );
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+    
+    // Render every metric in Prometheus text format
+    function renderMetrics() {
+        const lines = [];
+        
+        for (const metric of Object.values(metrics)) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            
+            for (const series of metric.series.values()) {
+                if (metric.type === 'counter') {
+                    lines.push(`${metric.name}${formatMetricLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+                
+                DURATION_BUCKETS.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${metric.name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+                lines.push(`${metric.name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+            }
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Helper function to get the label a cache entry is counted under, e.g.
+    // "monthly-leaderboard" for every month's leaderboard cache
+    function getCacheMetricName(entry) {
+        return entry.fileName
+            .replace(/\.json$/, '')
+            .replace(/-(\d{4}(-\d{2})?|[0-9a-f]{24})$/, '');
+    }
+    
+    // Time MongoDB commands using the driver's command monitoring. Connection
+    // handshakes and heartbeats aren't queries, so they aren't counted.
+    const UNTIMED_MONGO_COMMANDS = new Set(['hello', 'ismaster', 'isMaster', 'ping', 'saslStart', 'saslContinue', 'endSessions']);
+    
+    function monitorMongoCommands(client) {
+        const started = new Map();
+        
+        client.on('commandStarted', event => {
+            if (UNTIMED_MONGO_COMMANDS.has(event.commandName)) return;
+            const collection = event.command[event.commandName];
+            started.set(event.requestId, typeof collection === 'string' ? collection : 'none');
+        });
+        
+        const finished = event => {
+            if (!started.has(event.requestId)) return;
+            const collection = started.get(event.requestId);
+            started.delete(event.requestId);
+            
+            observeHistogram(metrics.mongoDuration, {
+                collection,
+                command: event.commandName,
+                status: event.failure ? 'error' : 'ok'
+            }, event.duration / 1000);
+            logger.debug('MongoDB command finished', {
+                collection,
+                command: event.commandName,
+                durationMs: event.duration
+            });
+        };
+        
+        client.on('commandSucceeded', finished);
+        client.on('commandFailed', finished);
+    }
+    
+    // Request IDs and access logging. A caller's own X-Request-Id is kept if it
+    // looks like an ID; otherwise a new one is made. Either way it is echoed back.
+    app.use((req, res, next) => {
+        const incomingId = req.get('X-Request-Id');
+        const requestId = incomingId && /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+        const started = process.hrtime.bigint();
+        
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+        
+        res.on('finish', () => {
+            // Label by route pattern (e.g. /api/users/:raUsername) so metrics stay bounded
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const durationSeconds = Number(process.hrtime.bigint() - started) / 1e9;
+            
+            incrementCounter(metrics.httpRequests, { method: req.method, route, status: res.statusCode });
+            observeHistogram(metrics.httpDuration, { method: req.method, route }, durationSeconds);
+            
+            requestContext.run({ requestId }, () => {
+                logger.info('Request completed', {
+                    method: req.method,
+                    path: req.path,
+                    route,
+                    status: res.statusCode,
+                    durationMs: Math.round(durationSeconds * 1000)
+                });
+            });
+        });
+        
+        requestContext.run({ requestId }, next);
+    });
+    
+    // Error responses
+    // Every error is sent as { error: { code, message, requestId, details? } }.
+    // Internal errors are logged in full but only described generically to callers.
+    const ERROR_CODES = {
+        400: 'invalid_request',
+        401: 'unauthorized',
+        403: 'forbidden',
+        404: 'not_found',
+        409: 'conflict',
+        413: 'payload_too_large',
+        429: 'rate_limited',
+        500: 'internal_error',
+        503: 'unavailable'
+    };
+    
+    // Send an error response in the standard envelope
+    function sendError(res, status, message, { code = ERROR_CODES[status] || 'error', details } = {}) {
+        const error = { code, message, requestId: res.req.id };
+        if (details && details.length > 0) error.details = details;
+        return res.status(status).json({ error });
+    }
+    
+    // Log an unexpected error and send a generic 500
+    function sendInternalError(res, context, error) {
+        logger.error(context, { err: error });
+        return sendError(res, 500, 'Internal server error');
+    }
+    
+    // Request validation
+    // Routes declare a schema for their params, query and body: each field maps to
+    // a rule with a type and optional required/default settings. Converted values
+    // are put on req.valid.params, req.valid.query and req.valid.body; anything
+    // invalid is answered with a 400 listing every problem found.
+    const validators = {
+        string: (value, rule) => {
+            if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+            if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            return { value: value.trim() };
+        },
+        // Discord and RetroAchievements ids, sent as either strings or numbers
+        id: (value) => {
+            if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0) return { value: String(value) };
+            if (typeof value === 'string' && /^\w{1,64}$/.test(value)) return { value };
+            return 'must be an id';
+        },
+        integer: (value, rule) => {
+            const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+            const { min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = rule;
+            if (!Number.isSafeInteger(number) || number < min || number > max) {
+                if (rule.max !== undefined) return `must be an integer from ${min} to ${max}`;
+                return rule.min !== undefined ? `must be an integer of at least ${min}` : 'must be an integer';
+            }
+            return { value: number };
+        },
+        year: (value) => {
+            const number = typeof value === 'string' && /^\d{4}$/.test(value) ? Number(value) : value;
+            if (!Number.isInteger(number) || number < 2000 || number > 9999) return 'must be a four-digit year';
+            return { value: number };
+        },
+        boolean: (value) => {
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return 'must be true or false';
+        },
+        // A YYYY-MM month, converted to the Date it starts on (UTC)
+        month: (value, rule) => {
+            const monthStart = typeof value === 'string' ? parseMonthParam(value) : null;
+            if (!monthStart) return 'must be a month in YYYY-MM format';
+            if (rule.notFuture && monthStart > getCurrentMonthStart()) return 'must be a month that has already started';
+            return { value: monthStart };
+        },
+        date: (value, rule) => {
+            const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+            if (!date || isNaN(date.getTime())) return 'must be an ISO date';
+            if (rule.future && date <= new Date()) return 'must be a future ISO date';
+            return { value: date };
+        },
+        enum: (value, rule) => {
+            return rule.values.includes(value) ? { value } : `must be one of: ${rule.values.join(', ')}`;
+        },
+        // A non-empty array of allowed values, or in a query string a comma-separated list
+        list: (value, rule) => {
+            const items = typeof value === 'string'
+                ? value.split(',').map(item => item.trim()).filter(Boolean)
+                : value;
+            if (!Array.isArray(items) || items.length === 0 || !items.every(item => rule.values.includes(item))) {
+                return `must be a ${typeof value === 'string' ? 'comma-separated list' : 'non-empty array'} of: ${rule.values.join(', ')}`;
+            }
+            return { value: Array.from(new Set(items)) };
+        },
+        timeZone: (value) => {
+            return typeof value === 'string' && isValidTimeZone(value)
+                ? { value }
+                : 'must be an IANA time zone such as "America/New_York"';
+        },
+        // A numeric RetroAchievements game id
+        raId: (value) => {
+            return isRAId(value) ? { value: String(value) } : 'must be a numeric RetroAchievements id';
+        },
+        achievementIds: (value) => {
+            if (!Array.isArray(value)) return 'must be an array of achievement ids';
+            if (!value.every(isRAId)) return 'must only contain numeric achievement ids';
+            if (new Set(value.map(String)).size !== value.length) return 'must not contain duplicate achievement ids';
+            return { value: value.map(String) };
+        },
+        objectId: (value) => {
+            return mongoose.isValidObjectId(value) ? { value: String(value) } : 'must be a valid id';
+        },
+        url: (value) => {
+            let parsed = null;
+            try {
+                parsed = new URL(value);
+            } catch (error) {
+                // Reported below
+            }
+            return parsed && ['http:', 'https:'].includes(parsed.protocol)
+                ? { value: parsed.toString() }
+                : 'must be an http or https URL';
+        }
+    };
+    
+    // Check an object against a schema. Returns the converted values and a list of
+    // problems. Unknown fields are only an error when allowUnknown is false.
+    function validateSchema(schema, input, { allowUnknown = false, name: inputName = 'input' } = {}) {
+        const values = {};
+        const errors = [];
+        
+        if (input === undefined || input === null) {
+            input = {};
+        } else if (typeof input !== 'object' || Array.isArray(input)) {
+            return { values, errors: [`${inputName} must be a JSON object`] };
+        }
+        
+        for (const [name, rule] of Object.entries(schema)) {
+            const value = input[name];
+            
+            if (value === undefined || value === '' || value === null) {
+                if (rule.required) {
+                    errors.push(`${name} is required`);
+                } else if (rule.default !== undefined) {
+                    values[name] = rule.default;
+                }
+                continue;
+            }
+            
+            const result = validators[rule.type](value, rule);
+            if (typeof result === 'string') {
+                errors.push(`${name} ${result}`);
+            } else {
+                values[name] = result.value;
+            }
+        }
+        
+        if (!allowUnknown) {
+            for (const name of Object.keys(input)) {
+                if (!(name in schema)) errors.push(`${name} is not a recognized field`);
+            }
+        }
+        
+        return { values, errors };
+    }
+    
+    // Validation middleware. Query strings may carry extra parameters (e.g. apiKey
+    // or cache busters), but bodies must only contain fields the schema knows.
+    const validate = (schemas) => (req, res, next) => {
+        const valid = { params: {}, query: {}, body: {} };
+        const errors = [];
+        
+        for (const part of ['params', 'query', 'body']) {
+            if (!schemas[part]) continue;
+            
+            const result = validateSchema(schemas[part], req[part], { allowUnknown: part !== 'body', name: part });
+            valid[part] = result.values;
+            errors.push(...result.errors);
+        }
+        
+        if (errors.length > 0) {
+            return sendError(res, 400, 'Invalid request', { details: errors });
+        }
+        
+        req.valid = valid;
+        next();
+    };
+    
+    // Helper function to make every field of a schema optional, e.g. for updates
+    function optionalFields(schema) {
+        return Object.fromEntries(Object.entries(schema).map(([name, rule]) => [name, { ...rule, required: false }]));
+    }
+    
+    // Params of the routes addressed by a user's RetroAchievements username
+    const RA_USERNAME_PARAMS = { raUsername: { type: 'string', maxLength: 64, required: true } };
+    
+    // Static API keys from the config
+    const API_KEY = config.apiKey;
+    const ADMIN_API_KEY = config.adminApiKey;
+    
+    // Challenge months start and end at midnight in the community's time zone
+    const COMMUNITY_TIME_ZONE = config.communityTimeZone;
+    if (!isValidTimeZone(COMMUNITY_TIME_ZONE)) {
+        throw new Error(`Invalid COMMUNITY_TIME_ZONE "${COMMUNITY_TIME_ZONE}". Must be an IANA time zone such as "America/New_York".`);
+    }
+    
+    // Where challenge game details come from; see config.gameInfo
+    const gameInfoProvider = createGameInfoProvider(config.gameInfo.provider, config.gameInfo);
+    
+    // Timers for background work, cleared by stop()
+    const backgroundTimers = [];
+    let shuttingDown = false;
+    
+    // How a user appears in public listings: 'public' (the default), 'anonymous'
+    // (shown without their name) or 'hidden' (left out entirely)
+    const USER_PRIVACY_MODES = ['public', 'anonymous', 'hidden'];
+    
+    // Define schemas based on your existing models
+    const userSchema = new mongoose.Schema({
+        raUsername: String,
+        discordId: String,
+        privacy: { type: String, enum: USER_PRIVACY_MODES, default: 'public' },
+        monthlyChallenges: Map,
+        shadowChallenges: Map,
+        announcedAchievements: [String],
+        communityAwards: [{
+            title: String,
+            points: Number,
+            awardedAt: Date,
+            awardedBy: String
+        }],
+        nominations: [{
+            gameId: String,
+            gameTitle: String,
+            consoleName: String,
+            nominatedAt: Date
+        }]
+    });
+    
+    // Indexes for the leaderboard pipelines. Challenge progress is keyed by month,
+    // so wildcard indexes cover the per-month $exists lookups.
+    userSchema.index({ raUsername: 1 });
+    userSchema.index({ discordId: 1 });
+    userSchema.index({ 'monthlyChallenges.$**': 1 });
+    userSchema.index({ 'shadowChallenges.$**': 1 });
+    userSchema.index({ 'nominations.nominatedAt': 1 });
+    
+    // Static method to find user by RetroAchievements username (case insensitive)
+    userSchema.statics.findByRAUsername = function(username) {
+        return this.findOne({
+            raUsername: { $regex: `^${escapeRegex(username)}$`, $options: 'i' }
+        });
+    };
+    
+    // Helper method for consistent date key formatting
+    userSchema.statics.formatDateKey = function(date) {
+        return date.toISOString().split('T')[0];
+    };
+    
+    const challengeSchema = new mongoose.Schema({
+        date: Date,
+        monthly_challange_gameid: String,
+        monthly_challange_achievement_ids: [String],
+        monthly_challange_game_total: Number,
+        monthly_challange_progression_achievements: [String],
+        monthly_challange_win_achievements: [String],
+        shadow_challange_gameid: String,
+        shadow_challange_achievement_ids: [String],
+        shadow_challange_game_total: Number,
+        shadow_challange_progression_achievements: [String],
+        shadow_challange_win_achievements: [String],
+        shadow_challange_revealed: Boolean,
+        // Game details, filled in from the game info provider
+        monthly_game_title: String,
+        monthly_game_console: String,
+        monthly_game_icon_url: String,
+        shadow_game_title: String,
+        shadow_game_console: String,
+        shadow_game_icon_url: String
+    });
+    
+    challengeSchema.index({ date: 1 });
+    
+    // Nomination ballots. A ballot is opened from a month's nominations and keeps
+    // its votes and winning game permanently once it closes.
+    const ballotSchema = new mongoose.Schema({
+        month: { type: String, required: true, unique: true }, // YYYY-MM of the nominations it was built from
+        selection: { type: String, enum: ['random', 'top'], required: true },
+        games: [{
+            gameId: String,
+            gameTitle: String,
+            consoleName: String,
+            nominationCount: Number
+        }],
+        opensAt: { type: Date, required: true },
+        closesAt: { type: Date, required: true },
+        votes: [{
+            gameId: String,
+            discordId: String,
+            raUsername: String,
+            votedAt: Date
+        }],
+        winner: { // Set once the ballot has closed; gameId stays null if nobody voted
+            gameId: String,
+            gameTitle: String,
+            consoleName: String,
+            votes: Number,
+            decidedAt: Date
+        },
+        createdAt: { type: Date, default: Date.now }
+    });
+    
+    // Versioned yearly scoring rules. The rule set with the latest effectiveYear at
+    // or before a given year applies to it; new versions are added, never edited.
+    const pointSystemSchema = new mongoose.Schema({
+        version: { type: Number, required: true, unique: true },
+        effectiveYear: { type: Number, required: true },
+        mastery: { type: Number, required: true, min: 0 },
+        beaten: { type: Number, required: true, min: 0 },
+        participation: { type: Number, required: true, min: 0 },
+        shadowBeaten: { type: Number, required: true, min: 0 },
+        shadowParticipation: { type: Number, required: true, min: 0 },
+        description: String,
+        createdAt: { type: Date, default: Date.now }
+    });
+    
+    // API key scopes. Admin keys have every scope.
+    const API_KEY_SCOPES = ['leaderboards:read', 'nominations:read', 'nominations:write', 'votes:write', 'admin'];
+    
+    // Scoped API keys. Only a hash of each key is stored.
+    const apiKeySchema = new mongoose.Schema({
+        label: { type: String, required: true },
+        keyHash: { type: String, required: true, unique: true },
+        prefix: String, // First characters of the key, to tell keys apart
+        scopes: [{ type: String, enum: API_KEY_SCOPES }],
+        createdAt: { type: Date, default: Date.now },
+        expiresAt: { type: Date, default: null },
+        lastUsedAt: { type: Date, default: null },
+        revokedAt: { type: Date, default: null }
+    });
+    
+    // Frozen standings for a completed year, so later edits to user progress or
+    // challenges don't silently rewrite history. Rows keep user ids rather than
+    // having privacy applied, so current privacy settings apply when served.
+    const yearSnapshotSchema = new mongoose.Schema({
+        year: { type: Number, required: true, unique: true },
+        yearly: mongoose.Schema.Types.Mixed, // The year's leaderboard as built by buildYearlyLeaderboard
+        months: mongoose.Schema.Types.Mixed, // [{ month, monthYear, gameId, gameTitle, winners }]
+        frozenAt: { type: Date, default: Date.now }
+    });
+    
+    // Events that webhooks can subscribe to
+    const WEBHOOK_EVENTS = [
+        'challenge.tier_reached',
+        'challenge.shadow_revealed',
+        'leaderboard.finalized',
+        'nominations.opened',
+        'nominations.closed'
+    ];
+    
+    // Registered webhook receivers. The secret signs every delivery, so it is
+    // stored as-is and only returned when the webhook is created.
+    const webhookSchema = new mongoose.Schema({
+        url: { type: String, required: true },
+        secret: { type: String, required: true },
+        events: [{ type: String, enum: WEBHOOK_EVENTS }],
+        description: String,
+        createdAt: { type: Date, default: Date.now }
+    });
+    
+    // Every event sent to webhooks. Events with a key are only ever sent once.
+    const webhookEventSchema = new mongoose.Schema({
+        key: { type: String, unique: true, sparse: true },
+        event: { type: String, required: true },
+        data: mongoose.Schema.Types.Mixed,
+        createdAt: { type: Date, default: Date.now }
+    });
+    
+    // Delivery log - one entry per event per webhook, with every attempt made
+    const webhookDeliverySchema = new mongoose.Schema({
+        webhookId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+        eventId: mongoose.Schema.Types.ObjectId,
+        event: { type: String, required: true },
+        body: { type: String, required: true }, // Exact JSON that is signed and sent
+        status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+        attempts: [{
+            attemptedAt: Date,
+            statusCode: Number,
+            error: String,
+            durationMs: Number
+        }],
+        nextAttemptAt: { type: Date, default: Date.now },
+        deliveredAt: { type: Date, default: null },
+        createdAt: { type: Date, default: Date.now }
+    });
+    
+    webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+    
+    // Define models
+    const User = connection.model('User', userSchema);
+    const Challenge = connection.model('Challenge', challengeSchema);
+    const Ballot = connection.model('Ballot', ballotSchema);
+    const PointSystem = connection.model('PointSystem', pointSystemSchema);
+    const ApiKey = connection.model('ApiKey', apiKeySchema);
+    const YearSnapshot = connection.model('YearSnapshot', yearSnapshotSchema);
+    const Webhook = connection.model('Webhook', webhookSchema);
+    const WebhookEvent = connection.model('WebhookEvent', webhookEventSchema);
+    const WebhookDelivery = connection.model('WebhookDelivery', webhookDeliverySchema);
+    
+    // Rules for any year without a stored point system. These match the progress
+    // values the bot stores: 3 for mastery, 2 for beaten, 1 for participation.
+    const DEFAULT_POINT_SYSTEM = {
+        version: 0,
+        effectiveYear: 0,
+        mastery: 3,
+        beaten: 2,
+        participation: 1,
+        shadowBeaten: 2,
+        shadowParticipation: 1,
+        description: 'Default rules: points equal the stored progress tier'
+    };
+    
+    // Configure middleware
+    // Behind a reverse proxy, set TRUST_PROXY (e.g. to 1) so req.ip is the real client
+    if (config.trustProxy !== null) {
+        app.set('trust proxy', config.trustProxy);
+    }
+    app.use(cors({
+        origin: '*', // You should limit this to your Carrd site in production
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'x-api-key', 'If-None-Match', 'X-Request-Id'],
+        exposedHeaders: ['ETag', 'X-Request-Id', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+    }));
+    app.use(express.json());
+    
+    // The static API_KEY is embedded in the public site, so it must never get a
+    // scope that acts on behalf of a member - those need a scoped key for the bot
+    const STATIC_API_KEY_SCOPES = ['leaderboards:read', 'nominations:read'];
+    
+    // Only record last use this often per key, so busy keys don't write on every request
+    const API_KEY_LAST_USED_RESOLUTION_MS = 60 * 1000;
+    
+    // Keys are only ever stored as a SHA-256 hash. They are long and random, so a
+    // fast hash is enough and lets a presented key be looked up directly.
+    function hashApiKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+    
+    // Compare two keys in constant time
+    function keysMatch(providedKey, expectedKey) {
+        return Boolean(expectedKey) &&
+            crypto.timingSafeEqual(Buffer.from(hashApiKey(providedKey), 'hex'), Buffer.from(hashApiKey(expectedKey), 'hex'));
+    }
+    
+    // Resolve a presented key to its label and scopes, or null if it isn't valid
+    async function resolveApiKey(providedKey) {
+        if (keysMatch(providedKey, ADMIN_API_KEY)) {
+            return { id: 'env:ADMIN_API_KEY', label: 'ADMIN_API_KEY', scopes: ['admin'] };
+        }
+        if (keysMatch(providedKey, API_KEY)) {
+            return { id: 'env:API_KEY', label: 'API_KEY', scopes: STATIC_API_KEY_SCOPES };
+        }
+        
+        const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(providedKey), revokedAt: null });
+        const now = new Date();
+        if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+            return null;
+        }
+        
+        // Record the use without holding up the request
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > API_KEY_LAST_USED_RESOLUTION_MS) {
+            ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now }).catch(error => {
+                logger.error('Error recording API key use', { label: apiKey.label, err: error });
+            });
+        }
+        
+        return { id: apiKey._id.toString(), label: apiKey.label, scopes: apiKey.scopes };
+    }
+    
+    // Resolve the key presented with a request, or null if none was given or it
+    // isn't valid. The lookup is shared by the rate limiter and authentication.
+    function getRequestApiKey(req) {
+        if (!req.apiKeyLookup) {
+            const providedKey = req.headers['x-api-key'];
+            req.apiKeyLookup = typeof providedKey === 'string' && providedKey
+                ? resolveApiKey(providedKey)
+                : Promise.resolve(null);
+        }
+        return req.apiKeyLookup;
+    }
+    
+    // API key authentication middleware - requires a key granting the given scope
+    const requireScope = (scope) => async (req, res, next) => {
+        try {
+            const apiKey = await getRequestApiKey(req);
+            
+            if (!apiKey) {
+                return sendError(res, 401, 'Unauthorized - Invalid API key');
+            }
+            
+            if (!apiKey.scopes.includes(scope) && !apiKey.scopes.includes('admin')) {
+                return sendError(res, 403, scope === 'admin'
+                    ? 'Forbidden - Admin API key required'
+                    : `Forbidden - API key lacks the "${scope}" scope`);
+            }
+            
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            sendInternalError(res, 'Error checking API key', error);
+        }
+    };
+    
+    const leaderboardsAuth = requireScope('leaderboards:read');
+    const nominationsAuth = requireScope('nominations:read');
+    const nominationsWriteAuth = requireScope('nominations:write');
+    const votesAuth = requireScope('votes:write');
+    const adminApiKeyAuth = requireScope('admin');
+    
+    // Rate limiting
+    // Token buckets held in memory: one per client IP, and one per valid API key.
+    // Each request takes a token from its IP's bucket and then its key's; tokens
+    // refill continuously up to the bucket's capacity.
+    const RATE_LIMITS = config.rateLimits;
+    
+    // Create an in-memory token bucket limiter. `now` can be swapped for a fake clock.
+    function createRateLimiter({ capacity, refillPerMinute, now = Date.now }) {
+        const refillPerMs = refillPerMinute / 60000;
+        const buckets = new Map();
+        
+        // Bring a bucket's tokens up to date with the time elapsed since it was last used
+        const refill = (bucket, time) => {
+            bucket.tokens = Math.min(capacity, bucket.tokens + (time - bucket.updatedAt) * refillPerMs);
+            bucket.updatedAt = time;
+        };
+        
+        return {
+            capacity,
+            refillPerMinute,
+            
+            // Take a token for a key. Returns whether the request is allowed along with
+            // the remaining tokens and the seconds until the bucket is full again (reset)
+            // or, when limited, until the next token arrives (retryAfter).
+            consume(key) {
+                const time = now();
+                let bucket = buckets.get(key);
+                if (!bucket) {
+                    bucket = { tokens: capacity, updatedAt: time };
+                    buckets.set(key, bucket);
+                }
+                refill(bucket, time);
+                
+                const allowed = bucket.tokens >= 1;
+                if (allowed) bucket.tokens -= 1;
+                
+                return {
+                    allowed,
+                    remaining: Math.floor(bucket.tokens),
+                    reset: Math.ceil((capacity - bucket.tokens) / refillPerMs / 1000),
+                    retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+                };
+            },
+            
+            // Forget buckets that have refilled completely; they behave like new ones
+            sweep() {
+                const time = now();
+                for (const [key, bucket] of buckets) {
+                    refill(bucket, time);
+                    if (bucket.tokens >= capacity) buckets.delete(key);
+                }
+            }
+        };
+    }
+    
+    const rateLimiters = {
+        read: createRateLimiter(RATE_LIMITS.read),
+        admin: createRateLimiter(RATE_LIMITS.admin)
+    };
+    
+    const rateLimitSweepTimer = setInterval(() => {
+        for (const limiter of Object.values(rateLimiters)) limiter.sweep();
+    }, 60 * 1000);
+    rateLimitSweepTimer.unref();
+    backgroundTimers.push(rateLimitSweepTimer);
+    
+    // Rate limiting middleware. Runs before authentication, so requests with a
+    // missing or made-up key still use up their IP's tokens; only valid keys get a
+    // bucket of their own. The static API_KEY is shared by every visitor of the
+    // public site, so it is limited per IP alone.
+    const rateLimit = async (req, res, next) => {
+        try {
+            const limiterName = req.path.startsWith('/admin/') ? 'admin' : 'read';
+            const limiter = rateLimiters[limiterName];
+            
+            // The key is only looked up once the IP has a token, so a limited IP
+            // can't keep trying guessed keys against the database
+            let result = limiter.consume(`ip:${req.ip}`);
+            if (result.allowed) {
+                const apiKey = await getRequestApiKey(req);
+                if (apiKey && apiKey.id !== 'env:API_KEY') {
+                    const keyResult = limiter.consume(`key:${apiKey.id}`);
+                    result = {
+                        allowed: keyResult.allowed,
+                        remaining: Math.min(result.remaining, keyResult.remaining),
+                        reset: Math.max(result.reset, keyResult.reset),
+                        retryAfter: keyResult.retryAfter
+                    };
+                }
+            }
+            
+            res.set({
+                'RateLimit-Policy': `${limiter.refillPerMinute};w=60;burst=${limiter.capacity}`,
+                'RateLimit-Limit': String(limiter.capacity),
+                'RateLimit-Remaining': String(result.remaining),
+                'RateLimit-Reset': String(result.reset)
+            });
+            
+            if (!result.allowed) {
+                res.set('Retry-After', String(result.retryAfter));
+                return sendError(res, 429, `Too many requests - retry after ${result.retryAfter} seconds`);
+            }
+            
+            next();
+        } catch (error) {
+            sendInternalError(res, 'Error applying rate limit', error);
+        }
+    };
+    
+    // Cache management
+    // Each section is served stale-while-revalidate: data older than the TTL is still
+    // returned while a rebuild runs in the background.
+    const CACHE_TTL_MS = config.cacheTtlMs;
+    const CACHE_REFRESH_INTERVAL_MS = config.cacheRefreshIntervalMs;
+    
+    // Create an empty cache entry backed by a file in CACHE_DIR
+    function createCacheEntry(fileName, ttl = CACHE_TTL_MS) {
+        return {
+            data: null,
+            publicData: null, // data without Discord IDs, for non-admin callers
+            lastUpdated: null,
+            etag: null,
+            publicEtag: null,
+            fileName,
+            ttl,
+            refreshing: null,
+            lastError: null
+        };
+    }
+    
+    let cache = {
+        monthly: createCacheEntry('monthly-leaderboard.json'),
+        yearly: createCacheEntry('yearly-leaderboard.json'),
+        nominations: createCacheEntry('nominations.json')
+    };
+    
+    // Strong ETag for a cached payload
+    function computeEtag(data) {
+        return `"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex')}"`;
+    }
+    
+    // Copy a payload with every discordId field removed, at any depth
+    function stripDiscordIds(value) {
+        if (Array.isArray(value)) return value.map(stripDiscordIds);
+        if (!value || typeof value !== 'object') return value;
+        
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (key !== 'discordId') result[key] = stripDiscordIds(item);
+        }
+        return result;
+    }
+    
+    // Store data on a cache entry along with its public copy and ETags
+    function setCacheEntryData(entry, data, lastUpdated) {
+        entry.data = data;
+        entry.publicData = data ? stripDiscordIds(data) : null;
+        entry.lastUpdated = data ? lastUpdated : null;
+        entry.etag = data ? computeEtag(data) : null;
+        entry.publicEtag = data ? computeEtag(entry.publicData) : null;
+    }
+    
+    // Helper function to check whether the caller's API key has the admin scope
+    function isAdminCaller(req) {
+        return Boolean(req.apiKey && req.apiKey.scopes.includes('admin'));
+    }
+    
+    // Get the version of a cache entry the caller may see. Discord IDs are only
+    // shown to admin-scoped callers.
+    function getCacheView(req, entry) {
+        return isAdminCaller(req)
+            ? { data: entry.data, etag: entry.etag }
+            : { data: entry.publicData, etag: entry.publicEtag };
+    }
+    
+    // Load a cache entry's data from disk if the file exists
+    function loadCacheEntryFromDisk(entry) {
+        const filePath = join(CACHE_DIR, entry.fileName);
+        if (!fs.existsSync(filePath)) return false;
+        
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        setCacheEntryData(entry, data, new Date(data.lastUpdated));
+        return true;
+    }
+    
+    // Message reported by the readiness check for a failed rebuild. The readiness
+    // check is public, so the error itself only goes to the logs.
+    const CACHE_REBUILD_ERROR_MESSAGE = 'Rebuild failed - see the server logs';
+    
+    // Record that a cache file couldn't be loaded, e.g. because it is corrupt. The
+    // error is logged by the caller; readiness only reports which file failed.
+    function recordCacheLoadError(entry) {
+        entry.lastError = {
+            message: `Could not load ${entry.fileName}`,
+            at: new Date().toISOString()
+        };
+    }
+    
+    // Get a cache entry, creating it (and loading it from disk) on first use
+    function getCacheEntry(key, fileName, ttl) {
+        if (!cache[key]) {
+            cache[key] = createCacheEntry(fileName, ttl);
+            try {
+                loadCacheEntryFromDisk(cache[key]);
+            } catch (error) {
+                logger.error('Error loading cache file', { fileName, err: error });
+                recordCacheLoadError(cache[key]);
+            }
+        }
+        return cache[key];
+    }
+    
+    // Try to load from disk if available
+    for (const [key, entry] of Object.entries(cache)) {
+        try {
+            if (loadCacheEntryFromDisk(entry)) {
+                logger.debug('Loaded cache from disk', { cache: key });
+            }
+        } catch (error) {
+            logger.error('Error loading cache from disk', { cache: key, err: error });
+            recordCacheLoadError(entry);
+        }
+    }
+    
+    // Rebuild a cache entry, saving the result to memory and disk.
+    // Concurrent calls for the same entry share a single rebuild.
+    function refreshCache(entry, build) {
+        if (entry.refreshing) return entry.refreshing;
+        
+        entry.refreshing = (async () => {
+            try {
+                const data = await build();
+                
+                setCacheEntryData(entry, data, new Date());
+                entry.lastError = null;
+                
+                if (data) {
+                    try {
+                        // Save to disk
+                        fs.writeFileSync(join(CACHE_DIR, entry.fileName), JSON.stringify(data, null, 2));
+                    } catch (cacheError) {
+                        logger.error('Error saving cache file', { fileName: entry.fileName, err: cacheError });
+                        // Keep the in-memory copy even if the disk write fails
+                    }
+                }
+                
+                return data;
+            } catch (error) {
+                entry.lastError = {
+                    message: CACHE_REBUILD_ERROR_MESSAGE,
+                    at: new Date().toISOString()
+                };
+                throw error;
+            } finally {
+                entry.refreshing = null;
+            }
+        })();
+        
+        return entry.refreshing;
+    }
+    
+    // Get a cache entry's data: fresh data is returned as-is, stale data is returned
+    // while a background rebuild runs, and missing data is built before returning
+    async function getCachedData(entry, build, isUsable = () => true) {
+        const cacheName = getCacheMetricName(entry);
+        
+        if (entry.data && isUsable(entry.data)) {
+            const isStale = Date.now() - entry.lastUpdated > entry.ttl;
+            incrementCounter(metrics.cacheRequests, { cache: cacheName, result: isStale ? 'stale' : 'hit' });
+            
+            if (isStale) {
+                refreshCache(entry, build).catch(error => {
+                    logger.error('Background cache refresh failed', { fileName: entry.fileName, err: error });
+                });
+            }
+            return entry.data;
+        }
+        
+        incrementCounter(metrics.cacheRequests, { cache: cacheName, result: 'miss' });
+        return refreshCache(entry, build);
+    }
+    
+    // Send a cache entry's data with an ETag, answering 304 if the client's copy matches
+    function sendCached(req, res, entry) {
+        const view = getCacheView(req, entry);
+        res.set('ETag', view.etag);
+        res.set('Last-Modified', entry.lastUpdated.toUTCString());
+        
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        
+        res.json(view.data);
+    }
+    
+    // Get the cache entry for a month's leaderboard.
+    // Past months are final, so their stored standings never expire. Months that
+    // haven't started have no leaderboard and so no entry (null).
+    function getMonthlyCacheEntry(monthStart) {
+        const month = formatMonthKey(monthStart);
+        const currentMonthStart = getCurrentMonthStart();
+        if (monthStart > currentMonthStart) return null;
+        return monthStart < currentMonthStart
+            ? getCacheEntry(`monthly-${month}`, `monthly-leaderboard-${month}.json`, Infinity)
+            : cache.monthly;
+    }
+    
+    // Get the cache entry for a month's shadow leaderboard. Like the monthly board,
+    // past months never expire and months that haven't started have no entry.
+    function getShadowCacheEntry(monthStart) {
+        const month = formatMonthKey(monthStart);
+        const currentMonthStart = getCurrentMonthStart();
+        if (monthStart > currentMonthStart) return null;
+        return monthStart < currentMonthStart
+            ? getCacheEntry(`shadow-${month}`, `shadow-leaderboard-${month}.json`, Infinity)
+            : getCacheEntry('shadow', 'shadow-leaderboard.json');
+    }
+    
+    // Past months' final standings, as built with raw set: rows carry user ids and
+    // privacy isn't applied. clearAllCaches keeps them, so a privacy change only
+    // remakes the served boards from them instead of recomputing past months.
+    const FINAL_STANDINGS_FILE = /^(monthly|shadow)-standings-(\d{4}-\d{2})\.json$/;
+    
+    function getFinalStandingsEntry(board, monthStart) {
+        const month = formatMonthKey(monthStart);
+        return getCacheEntry(`${board}-standings-${month}`, `${board}-standings-${month}.json`, Infinity);
+    }
+    
+    // Make a past month's served board from its final standings, with each user's
+    // current privacy setting
+    async function buildFromFinalStandings(board, monthStart, build) {
+        const standings = await getCachedData(getFinalStandingsEntry(board, monthStart), build);
+        if (!standings) return null;
+        
+        const usersById = await findSnapshotUsers(standings.leaderboard);
+        return {
+            ...standings,
+            leaderboard: applySnapshotPrivacy(standings.leaderboard, usersById)
+        };
+    }
+    
+    // Get the cache entry for a year's leaderboard.
+    // The current year keeps its original cache file; other years get their own.
+    function getYearlyCacheEntry(year) {
+        return year === getCurrentYear()
+            ? cache.yearly
+            : getCacheEntry(`yearly-${year}`, `yearly-leaderboard-${year}.json`);
+    }
+    
+    // Drop every cache entry, including cache files for entries not loaded yet,
+    // e.g. after a change that affects all listings. Final standings are kept.
+    function clearAllCaches() {
+        for (const entry of Object.values(cache)) {
+            if (!FINAL_STANDINGS_FILE.test(entry.fileName)) clearCacheEntry(entry);
+        }
+        
+        try {
+            for (const fileName of fs.readdirSync(CACHE_DIR)) {
+                if (fileName.endsWith('.json') && !FINAL_STANDINGS_FILE.test(fileName)) {
+                    fs.unlinkSync(join(CACHE_DIR, fileName));
+                }
+            }
+        } catch (error) {
+            logger.error('Error clearing cache directory', { err: error });
+        }
+    }
+    
+    // Remove a user's rows from every past month's final standings, on disk and in
+    // memory. Like year snapshots, the other rows keep their ranks.
+    function scrubUserFromFinalStandings(userId) {
+        const fileNames = new Set(Object.values(cache).map(entry => entry.fileName));
+        try {
+            fs.readdirSync(CACHE_DIR).forEach(fileName => fileNames.add(fileName));
+        } catch (error) {
+            logger.error('Error reading cache directory', { err: error });
+        }
+        
+        for (const fileName of fileNames) {
+            const match = FINAL_STANDINGS_FILE.exec(fileName);
+            if (!match) continue;
+            
+            const entry = getFinalStandingsEntry(match[1], parseMonthParam(match[2]));
+            if (!entry.data || !entry.data.leaderboard.some(row => row.userId === userId)) continue;
+            
+            const data = {
+                ...entry.data,
+                leaderboard: entry.data.leaderboard.filter(row => row.userId !== userId)
+            };
+            setCacheEntryData(entry, data, entry.lastUpdated);
+            fs.writeFileSync(join(CACHE_DIR, fileName), JSON.stringify(data, null, 2));
+        }
+    }
+    
+    // Drop a cache entry's data and its disk copy so the next read rebuilds it
+    function clearCacheEntry(entry) {
+        setCacheEntryData(entry, null, null);
+        
+        try {
+            const filePath = join(CACHE_DIR, entry.fileName);
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (error) {
+            logger.error('Error removing cache file', { fileName: entry.fileName, err: error });
+        }
+    }
+    
+    // Get the cache entry holding the monthly leaderboard for a month, building it if needed
+    async function getMonthlyLeaderboard(monthStart) {
+        const month = formatMonthKey(monthStart);
+        const entry = getMonthlyCacheEntry(monthStart);
+        
+        // A cached current-month board from before the month rolled over is not usable
+        await getCachedData(
+            entry,
+            () => monthStart < getCurrentMonthStart()
+                ? buildFromFinalStandings('monthly', monthStart, () => buildMonthlyLeaderboard(monthStart, new Date(), { raw: true }))
+                : buildMonthlyLeaderboard(monthStart, new Date()),
+            cached => cached.challenge && cached.challenge.month === month && Boolean(cached.challenge.endsAt) &&
+                'shadow' in cached.challenge
+        );
+        
+        return entry;
+    }
+    
+    // Get the cache entry holding the shadow leaderboard for a month, building it if needed
+    async function getShadowLeaderboard(monthStart) {
+        const month = formatMonthKey(monthStart);
+        const entry = getShadowCacheEntry(monthStart);
+        
+        // A cached current-month board from before the month rolled over is not usable
+        await getCachedData(
+            entry,
+            () => monthStart < getCurrentMonthStart()
+                ? buildFromFinalStandings('shadow', monthStart, () => buildShadowLeaderboard(monthStart, new Date(), { raw: true }))
+                : buildShadowLeaderboard(monthStart, new Date()),
+            cached => cached.challenge && cached.challenge.month === month
+        );
+        
+        return entry;
+    }
+    
+    // Get the cache entry holding the yearly leaderboard for a year, building it if needed
+    async function getYearlyLeaderboard(year) {
+        const entry = getYearlyCacheEntry(year);
+        
+        await getCachedData(
+            entry,
+            () => buildYearlyStandings(year),
+            cached => cached.year === year
+        );
+        
+        return entry;
+    }
+    
+    // Monthly leaderboard tie-breakers, applied in order to users with equal points.
+    // Set MONTHLY_TIEBREAKERS to a comma-separated list to match the Discord bot.
+    const MONTHLY_TIEBREAKER_COMPARATORS = {
+        // More achievements earned ranks higher
+        achievements: (a, b) => b.achievements - a.achievements,
+        // Higher completion percentage ranks higher
+        percentage: (a, b) => b.percentage - a.percentage,
+        // Reaching the tier earlier ranks higher; users without a recorded time come last
+        tierReachedAt: (a, b) => {
+            if (a.tierReachedAt === b.tierReachedAt) return 0;
+            if (!a.tierReachedAt) return 1;
+            if (!b.tierReachedAt) return -1;
+            return new Date(a.tierReachedAt) - new Date(b.tierReachedAt);
+        }
+    };
+    
+    const MONTHLY_TIEBREAKERS = config.monthlyTiebreakers;
+    
+    for (const name of MONTHLY_TIEBREAKERS) {
+        if (!MONTHLY_TIEBREAKER_COMPARATORS[name]) {
+            throw new Error(`Unknown monthly tie-breaker "${name}". Must be one of: ${Object.keys(MONTHLY_TIEBREAKER_COMPARATORS).join(', ')}`);
+        }
+    }
+    
+    // Compare two monthly leaderboard entries using the configured tie-breakers
+    function compareMonthlyTiebreakers(a, b) {
+        for (const name of MONTHLY_TIEBREAKERS) {
+            const result = MONTHLY_TIEBREAKER_COMPARATORS[name](a, b);
+            if (result !== 0) return result;
+        }
+        return 0;
+    }
+    
+    // CSV export
+    // Column orders are fixed so spreadsheets built from earlier exports keep working.
+    const MONTHLY_CSV_COLUMNS = [
+        ['rank', row => row.rank],
+        ['username', row => row.username],
+        ['monthlyPoints', row => row.monthlyPoints],
+        ['shadowPoints', row => row.shadowPoints],
+        ['totalPoints', row => row.totalPoints],
+        ['achievements', row => row.achievements],
+        ['totalAchievements', row => row.totalAchievements],
+        ['percentage', row => row.percentage],
+        ['tierReachedAt', row => row.tierReachedAt]
+    ];
+    
+    const YEARLY_CSV_COLUMNS = [
+        ['rank', row => row.rank],
+        ['username', row => row.username],
+        ['yearlyPoints', row => row.yearlyPoints],
+        ['mastery', row => row.stats.mastery],
+        ['beaten', row => row.stats.beaten],
+        ['participation', row => row.stats.participation],
+        ['shadowBeaten', row => row.stats.shadowBeaten],
+        ['shadowParticipation', row => row.stats.shadowParticipation]
+    ];
+    
+    const NOMINATIONS_CSV_COLUMNS = [
+        ['gameId', row => row.gameId],
+        ['gameTitle', row => row.gameTitle],
+        ['consoleName', row => row.consoleName],
+        ['count', row => row.count],
+        ['nominatedBy', row => row.nominatedBy.join('; ')]
+    ];
+    
+    // The ?format= parameter of exportable endpoints
+    const EXPORT_FORMAT_RULE = { type: 'enum', values: ['json', 'csv'], default: 'json' };
+    
+    // Send rows as a CSV download
+    function sendCsv(res, fileName, columns, rows) {
+        res.attachment(fileName);
+        res.type('text/csv; charset=utf-8');
+        res.send(toCsv(columns, rows));
+    }
+    
+    // Leaderboard paging, search and field selection
+    // Fields each leaderboard row can be projected down to with ?fields=
+    const MONTHLY_ROW_FIELDS = [
+        'rank', 'username', 'discordId', 'monthlyPoints', 'shadowPoints', 'totalPoints', 'percentage',
+        'achieved', 'achievements', 'totalAchievements', 'gameTitle', 'gameIconUrl', 'tierReachedAt'
+    ];
+    const YEARLY_ROW_FIELDS = ['rank', 'username', 'discordId', 'yearlyPoints', 'stats'];
+    const ALL_TIME_ROW_FIELDS = [
+        'rank', 'username', 'discordId', 'allTimePoints', 'yearsRanked', 'championships', 'stats', 'streaks'
+    ];
+    const SHADOW_ROW_FIELDS = [
+        'rank', 'username', 'discordId', 'shadowPoints', 'tier', 'percentage',
+        'achieved', 'achievements', 'totalAchievements', 'tierReachedAt'
+    ];
+    const MAX_LEADERBOARD_LIMIT = 500;
+    
+    // Schema for ?user=, ?limit=, ?offset= and ?fields= on a leaderboard whose rows
+    // can be projected down to the given fields
+    function leaderboardQuerySchema(allowedFields) {
+        return {
+            user: { type: 'string' },
+            limit: { type: 'integer', min: 1, max: MAX_LEADERBOARD_LIMIT },
+            offset: { type: 'integer', min: 0, default: 0 },
+            fields: { type: 'list', values: allowedFields }
+        };
+    }
+    
+    // Build a leaderboard query from validated ?user=, ?limit=, ?offset= and ?fields=
+    function getLeaderboardQuery({ user, limit, offset, fields }) {
+        const query = {
+            user: user === undefined ? null : user.toLowerCase(),
+            limit: limit === undefined ? null : limit,
+            offset,
+            fields: fields === undefined ? null : fields
+        };
+        
+        query.isDefault = query.user === null && query.limit === null && query.offset === 0 && query.fields === null;
+        return query;
+    }
+    
+    // Apply a parsed leaderboard query to a response. Rows keep the rank they have
+    // on the full leaderboard, so a filtered or paged row still shows its true rank.
+    function applyLeaderboardQuery(data, query) {
+        if (query.isDefault) return data;
+        
+        let rows = data.leaderboard;
+        if (query.user !== null) {
+            rows = rows.filter(row => row.username && row.username.toLowerCase() === query.user);
+        }
+        
+        const total = rows.length;
+        const end = query.limit === null ? total : query.offset + query.limit;
+        rows = rows.slice(query.offset, end);
+        
+        if (query.fields !== null) {
+            rows = rows.map(row => Object.fromEntries(query.fields.map(field => [field, row[field]])));
+        }
+        
+        return {
+            ...data,
+            leaderboard: rows,
+            pagination: {
+                offset: query.offset,
+                limit: query.limit,
+                total,
+                nextOffset: end < total ? end : null
+            }
+        };
+    }
+    
+    // Routes
+    // Health check endpoint (no auth required)
+    app.get('/api/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString()
+        });
+    });
+    
+    // Readiness check (no auth required). Not ready while MongoDB is unavailable or
+    // the server is shutting down. Cache problems are reported but a stale cache
+    // can still be served, so they don't fail the check.
+    app.get('/api/ready', (req, res) => {
+        const mongoState = mongoose.STATES[connection.readyState];
+        const ready = mongoState === 'connected' && !shuttingDown;
+        
+        const caches = {};
+        for (const section of Object.keys(cacheBuilders)) {
+            const entry = cache[section];
+            const ageMs = entry.lastUpdated ? Date.now() - entry.lastUpdated.getTime() : null;
+            caches[section] = {
+                lastUpdated: entry.lastUpdated ? entry.lastUpdated.toISOString() : null,
+                ageSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+                stale: ageMs === null || ageMs > entry.ttl,
+                lastError: entry.lastError
+            };
+        }
+        
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ready' : 'not_ready',
+            shuttingDown,
+            mongo: {
+                state: mongoState
+            },
+            caches,
+            lastRebuild: lastCacheRebuild,
+            timestamp: new Date().toISOString()
+        });
+    });
+    
+    // Prometheus metrics. Open unless METRICS_TOKEN is set, in which case scrapers
+    // must send it as a bearer token.
+    app.get('/metrics', (req, res) => {
+        const token = config.metricsToken;
+        if (token) {
+            const expected = Buffer.from(`Bearer ${token}`);
+            const provided = Buffer.from(req.get('Authorization') || '');
+            if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+                return sendError(res, 401, 'Unauthorized');
+            }
+        }
+        
+        res.type('text/plain; version=0.0.4').send(renderMetrics());
+    });
+    
+    // Let EventSource clients, which can't set headers, pass the key as ?apiKey=.
+    // This runs before the rate limiter, which looks the key up first.
+    const apiKeyFromQuery = (req, res, next) => {
+        if (!req.headers['x-api-key'] && typeof req.query.apiKey === 'string') {
+            req.headers['x-api-key'] = req.query.apiKey;
+        }
+        next();
+    };
+    app.use('/api/stream', apiKeyFromQuery);
+    
+    // Everything else under /api is rate limited
+    app.use('/api', rateLimit);
+    
+    // Build the monthly leaderboard for the challenge starting in the given month.
+    // Returns null when no challenge exists for that month. With raw set, rows skip
+    // privacy settings and carry user ids instead, for year snapshots and final
+    // standings.
+    async function buildMonthlyLeaderboard(monthStart, now, { raw = false } = {}) {
+        const nextMonthStart = addMonths(monthStart, 1);
+        const isFinal = monthStart < getMonthStart(now);
+        
+        logger.debug('Finding challenge', { from: monthStart.toISOString(), to: nextMonthStart.toISOString() });
+        
+        // Get the month's challenge without using lean() for safety
+        const currentChallenge = await Challenge.findOne({
+            date: {
+                $gte: monthStart,
+                $lt: nextMonthStart
+            }
+        });
+        
+        if (!currentChallenge) {
+            logger.info('No challenge found', { month: formatMonthKey(monthStart) });
+            return null;
+        }
+    
+        logger.debug('Found challenge', { gameId: currentChallenge.monthly_challange_gameid });
+        
+        // Get the month key
+        const monthKey = User.formatDateKey(currentChallenge.date);
+        logger.debug('Using month key', { monthKey });
+        
+        // Score users with progress this month in the database
+        const users = await User.aggregate(
+            monthlyLeaderboardPipeline(monthKey, Boolean(currentChallenge.shadow_challange_revealed))
+        );
+        logger.debug('Found users with points', { count: users.length });
+        
+        const leaderboard = users.map(user => {
+            const monthlyData = user.monthly;
+            return {
+                username: user.raUsername,
+                discordId: user.discordId,
+                monthlyPoints: user.monthlyPoints,
+                shadowPoints: user.shadowPoints,
+                totalPoints: user.totalPoints,
+                // Use the stored percentage directly from the bot
+                percentage: monthlyData.percentage || 0,
+                // Use the actual achievement counts from the bot
+                achieved: monthlyData.achievements || 0,
+                achievements: monthlyData.achievements || 0, // Duplicate for different frontend usages
+                totalAchievements: monthlyData.totalAchievements || currentChallenge.monthly_challange_game_total,
+                gameTitle: monthlyData.gameTitle || currentChallenge.monthly_game_title || null,
+                gameIconUrl: monthlyData.gameIconUrl || currentChallenge.monthly_game_icon_url || null,
+                // When the bot recorded the user reaching their current tier, if it did
+                tierReachedAt: monthlyData.tierReachedAt ? new Date(monthlyData.tierReachedAt).toISOString() : null
+            };
+        });
+        
+        logger.debug('Built monthly leaderboard', { users: leaderboard.length });
+        
+        // Sort by total points, then the configured tie-breakers
+        const compareEntries = (a, b) => b.totalPoints - a.totalPoints || compareMonthlyTiebreakers(a, b);
+        leaderboard.sort(compareEntries);
+        
+        // Add ranking information - users still tied after every tie-breaker share a rank
+        let lastRank = 0;
+        leaderboard.forEach((entry, index) => {
+            if (index > 0 && compareEntries(leaderboard[index - 1], entry) === 0) {
+                entry.rank = lastRank;
+            } else {
+                entry.rank = index + 1;
+                lastRank = index + 1;
+            }
+        });
+        
+        // Calculate challenge end date and time remaining in the community time zone
+        const { endsAt } = getChallengeWindow(monthStart);
+        const endDateFormatted = formatEndDate(endsAt);
+        const timeRemaining = formatTimeRemaining(endsAt, now);
+        
+        // Prepare response with enhanced game information
+        const result = {
+            leaderboard: raw ? withUserIds(leaderboard, users) : applyLeaderboardPrivacy(leaderboard, users),
+            challenge: {
+                month: formatMonthKey(monthStart),
+                monthYear: formatMonthYear(monthStart),
+                monthlyGame: currentChallenge.monthly_challange_gameid,
+                gameTitle: currentChallenge.monthly_game_title || null,
+                gameIconUrl: currentChallenge.monthly_game_icon_url || null,
+                totalAchievements: currentChallenge.monthly_challange_game_total,
+                endDate: endDateFormatted,
+                endsAt: endsAt.toISOString(),
+                timeZone: COMMUNITY_TIME_ZONE,
+                timeRemaining: timeRemaining,
+                shadowGame: currentChallenge.shadow_challange_revealed ? currentChallenge.shadow_challange_gameid : null,
+                shadowRevealed: currentChallenge.shadow_challange_revealed,
+                shadow: currentChallenge.shadow_challange_revealed ? formatChallengeGame(currentChallenge, 'shadow') : null,
+                consoleName: currentChallenge.monthly_game_console || null
+            },
+            ranking: {
+                tiebreakers: MONTHLY_TIEBREAKERS
+            },
+            // Past months can no longer change, so their standings are final
+            final: isFinal,
+            lastUpdated: new Date().toISOString()
+        };
+        
+        // Whatever triggered the build, tell webhooks about tiers reached this month.
+        // The month that just ended is included for tiers reached in its last minutes.
+        if (monthStart >= addMonths(getMonthStart(now), -1)) {
+            notifyTiersReached(result.challenge, withUserIds(leaderboard, users), users);
+        }
+        
+        return result;
+    }
+    
+    // Monthly leaderboard endpoint, optionally for a past month via ?month=YYYY-MM
+    app.get('/api/leaderboard/monthly', leaderboardsAuth, validate({
+        query: {
+            month: { type: 'month', notFuture: true },
+            // Optional display time zone for the end date; windows stay in the community's
+            tz: { type: 'timeZone' },
+            format: EXPORT_FORMAT_RULE,
+            ...leaderboardQuerySchema(MONTHLY_ROW_FIELDS)
+        }
+    }), async (req, res) => {
+        try {
+            const currentMonthStart = getCurrentMonthStart();
+            const monthStart = req.valid.query.month || currentMonthStart;
+            const { format, tz: displayTimeZone } = req.valid.query;
+            const query = getLeaderboardQuery(req.valid.query);
+            
+            const isPastMonth = monthStart < currentMonthStart;
+            const month = formatMonthKey(monthStart);
+            
+            // Past months get a cache entry each, so only make one for a real challenge
+            if (isPastMonth && !(await hasChallengeInMonth(monthStart))) {
+                return sendError(res, 404, `No challenge found for ${month}`);
+            }
+            
+            const entry = await getMonthlyLeaderboard(monthStart);
+            const { data } = getCacheView(req, entry);
+            
+            if (!data) {
+                return sendError(res, 404, isPastMonth ? `No challenge found for ${month}` : 'No current challenge found');
+            }
+            
+            if (format === 'csv') {
+                const rows = applyLeaderboardQuery(data, { ...query, fields: null }).leaderboard;
+                return sendCsv(res, `monthly-leaderboard-${month}.csv`, MONTHLY_CSV_COLUMNS, rows);
+            }
+            
+            // The default response is the cached document as-is
+            if (query.isDefault && !displayTimeZone) {
+                return sendCached(req, res, entry);
+            }
+            
+            const response = applyLeaderboardQuery(data, query);
+            if (displayTimeZone) {
+                const endsAt = new Date(data.challenge.endsAt);
+                response.challenge = {
+                    ...data.challenge,
+                    endDate: formatEndDate(endsAt, displayTimeZone),
+                    timeZone: displayTimeZone,
+                    timeRemaining: formatTimeRemaining(endsAt, new Date())
+                };
+            }
+            
+            res.json(response);
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching monthly leaderboard', error);
+        }
+    });
+    
+    // Build the shadow game leaderboard for the challenge starting in the given
+    // month. Until the shadow game is revealed only the number of players with
+    // progress is given, so neither the game nor who found it leaks.
+    // Returns null when that month has no challenge with a shadow game. With raw
+    // set, rows skip privacy settings and carry user ids instead.
+    async function buildShadowLeaderboard(monthStart, now, { raw = false } = {}) {
+        const currentChallenge = await Challenge.findOne({
+            date: {
+                $gte: monthStart,
+                $lt: addMonths(monthStart, 1)
+            }
+        });
+        
+        if (!currentChallenge || !currentChallenge.shadow_challange_gameid) {
+            logger.info('No shadow challenge found', { month: formatMonthKey(monthStart) });
+            return null;
+        }
+        
+        const monthKey = User.formatDateKey(currentChallenge.date);
+        const revealed = Boolean(currentChallenge.shadow_challange_revealed);
+        const { endsAt } = getChallengeWindow(monthStart);
+        
+        const [counts] = await User.aggregate(shadowProgressCountsPipeline(monthKey));
+        
+        let leaderboard = [];
+        if (revealed) {
+            const users = await User.aggregate(shadowLeaderboardPipeline(monthKey));
+            
+            const rows = users.map(user => {
+                const shadowData = user.shadow;
+                return {
+                    username: user.raUsername,
+                    discordId: user.discordId,
+                    shadowPoints: user.shadowPoints,
+                    // The shadow game has no mastery tier
+                    tier: user.shadowPoints >= 2 ? 'beaten' : 'participation',
+                    percentage: shadowData.percentage || 0,
+                    achieved: shadowData.achievements || 0,
+                    achievements: shadowData.achievements || 0,
+                    totalAchievements: shadowData.totalAchievements || currentChallenge.shadow_challange_game_total,
+                    tierReachedAt: shadowData.tierReachedAt ? new Date(shadowData.tierReachedAt).toISOString() : null
+                };
+            });
+            
+            // Same ordering rules as the monthly board
+            const compareEntries = (a, b) => b.shadowPoints - a.shadowPoints || compareMonthlyTiebreakers(a, b);
+            rows.sort(compareEntries);
+            
+            let lastRank = 0;
+            rows.forEach((entry, index) => {
+                if (index > 0 && compareEntries(rows[index - 1], entry) === 0) {
+                    entry.rank = lastRank;
+                } else {
+                    entry.rank = index + 1;
+                    lastRank = index + 1;
+                }
+            });
+            
+            leaderboard = raw ? withUserIds(rows, users) : applyLeaderboardPrivacy(rows, users);
+        }
+        
+        return {
+            leaderboard,
+            challenge: {
+                month: formatMonthKey(monthStart),
+                monthYear: formatMonthYear(monthStart),
+                endsAt: endsAt.toISOString(),
+                timeZone: COMMUNITY_TIME_ZONE,
+                shadowRevealed: revealed,
+                shadow: revealed ? formatChallengeGame(currentChallenge, 'shadow') : null
+            },
+            // Anonymous counts, given before and after the reveal
+            progress: {
+                participants: counts ? counts.participants : 0,
+                beaten: counts ? counts.beaten : 0
+            },
+            ranking: {
+                tiebreakers: MONTHLY_TIEBREAKERS
+            },
+            final: monthStart < getMonthStart(now),
+            lastUpdated: new Date().toISOString()
+        };
+    }
+    
+    // Shadow game leaderboard endpoint, optionally for a past month via ?month=YYYY-MM
+    app.get('/api/leaderboard/shadow', leaderboardsAuth, validate({
+        query: {
+            month: { type: 'month', notFuture: true },
+            ...leaderboardQuerySchema(SHADOW_ROW_FIELDS)
+        }
+    }), async (req, res) => {
+        try {
+            const monthStart = req.valid.query.month || getCurrentMonthStart();
+            const query = getLeaderboardQuery(req.valid.query);
+            
+            const month = formatMonthKey(monthStart);
+            
+            // Past months get a cache entry each, so only make one for a real challenge
+            if (monthStart < getCurrentMonthStart() && !(await hasChallengeInMonth(monthStart))) {
+                return sendError(res, 404, `No shadow challenge found for ${month}`);
+            }
+            
+            const entry = await getShadowLeaderboard(monthStart);
+            const { data } = getCacheView(req, entry);
+            
+            if (!data) {
+                return sendError(res, 404, `No shadow challenge found for ${month}`);
+            }
+            
+            if (query.isDefault) {
+                return sendCached(req, res, entry);
+            }
+            
+            res.json(applyLeaderboardQuery(data, query));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching shadow leaderboard', error);
+        }
+    });
+    
+    // Live leaderboard stream (Server-Sent Events)
+    // While anyone is connected, the current monthly leaderboard is rebuilt on an
+    // interval and diffed against the last one sent, so every client shares a single
+    // database scan per interval instead of polling the REST endpoint themselves.
+    const STREAM_POLL_INTERVAL_MS = config.streamPollIntervalMs;
+    const STREAM_HEARTBEAT_MS = 25 * 1000;
+    
+    const streamClients = new Set();
+    let streamPollTimer = null;
+    let streamSnapshot = null; // Last leaderboard sent to clients
+    
+    // Write one event to an SSE client
+    function sendStreamEvent(res, event, data) {
+        // The stream is public, so Discord IDs never go out on it
+        res.write(`event: ${event}\ndata: ${JSON.stringify(stripDiscordIds(data))}\n\n`);
+    }
+    
+    // Send an event to every connected SSE client
+    function broadcastStreamEvent(event, data) {
+        for (const client of streamClients) {
+            sendStreamEvent(client, event, data);
+        }
+    }
+    
+    // Rebuild the current monthly leaderboard and push what changed to clients
+    async function pollLeaderboardStream() {
+        try {
+            const data = await refreshCache(cache.monthly, cacheBuilders.monthly);
+            
+            if (!data) {
+                // No challenge this month (yet) - nothing to diff against
+                if (streamSnapshot) broadcastStreamEvent('snapshot', null);
+            } else if (!streamSnapshot || streamSnapshot.challenge.month !== data.challenge.month) {
+                // First board, or the month rolled over - clients need a fresh baseline
+                broadcastStreamEvent('snapshot', data);
+            } else {
+                const diff = diffLeaderboards(streamSnapshot, data);
+                if (diff) {
+                    logger.debug('Streaming leaderboard diff', { updated: diff.updated.length, removed: diff.removed.length });
+                    broadcastStreamEvent('diff', diff);
+                }
+            }
+            
+            streamSnapshot = data;
+        } catch (error) {
+            logger.error('Error polling leaderboard for stream', { err: error });
+        }
+    }
+    
+    // Live monthly leaderboard stream: a "snapshot" event on connect (and when the
+    // month rolls over), then a "diff" event whenever a user's progress changes
+    app.get('/api/stream/leaderboard', leaderboardsAuth, async (req, res) => {
+        try {
+            const entry = await getMonthlyLeaderboard(getCurrentMonthStart());
+            
+            // New clients get the same baseline the diffs are computed against
+            if (!streamSnapshot) {
+                streamSnapshot = entry.data;
+            }
+            
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Don't let proxies buffer the stream
+            });
+            res.flushHeaders();
+            
+            res.write(`retry: ${STREAM_POLL_INTERVAL_MS}\n\n`);
+            sendStreamEvent(res, 'snapshot', streamSnapshot);
+            
+            streamClients.add(res);
+            if (!streamPollTimer) {
+                streamPollTimer = setInterval(pollLeaderboardStream, STREAM_POLL_INTERVAL_MS);
+            }
+            logger.info('Leaderboard stream client connected', { clients: streamClients.size });
+            
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+            
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                streamClients.delete(res);
+                
+                // Stop polling once nobody is listening
+                if (streamClients.size === 0 && streamPollTimer) {
+                    clearInterval(streamPollTimer);
+                    streamPollTimer = null;
+                    streamSnapshot = null;
+                }
+                logger.info('Leaderboard stream client disconnected', { clients: streamClients.size });
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error opening leaderboard stream', error);
+        }
+    });
+    
+    // Challenge archive endpoint - lists the current and all past challenges
+    app.get('/api/challenges', leaderboardsAuth, async (req, res) => {
+        try {
+            const currentMonthStart = getCurrentMonthStart();
+            const nextMonthStart = addMonths(currentMonthStart, 1);
+            
+            const challenges = await Challenge.find({
+                date: { $lt: nextMonthStart }
+            }).sort({ date: -1 });
+            
+            const data = {
+                challenges: challenges.map(challenge => {
+                    const monthStart = getChallengeMonthStart(challenge.date);
+                    return {
+                        id: challenge._id.toString(),
+                        month: formatMonthKey(monthStart),
+                        monthYear: formatMonthYear(monthStart),
+                        monthlyGame: challenge.monthly_challange_gameid,
+                        gameTitle: challenge.monthly_game_title || null,
+                        consoleName: challenge.monthly_game_console || null,
+                        gameIconUrl: challenge.monthly_game_icon_url || null,
+                        totalAchievements: challenge.monthly_challange_game_total,
+                        shadowGame: challenge.shadow_challange_revealed ? challenge.shadow_challange_gameid : null,
+                        shadowRevealed: challenge.shadow_challange_revealed,
+                        shadow: challenge.shadow_challange_revealed ? formatChallengeGame(challenge, 'shadow') : null,
+                        final: monthStart < currentMonthStart
+                    };
+                }),
+                lastUpdated: new Date().toISOString()
+            };
+            
+            res.json(data);
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching challenges', error);
+        }
+    });
+    
+    // Helper function to parse an announcedAchievements entry into its game and
+    // achievement ids. Entries are "achievementId", "gameId:achievementId" or
+    // "system:gameId:achievementId"; a missing game id matches any game.
+    function parseAnnouncedAchievement(entry) {
+        const parts = String(entry).split(':');
+        return {
+            achievementId: parts[parts.length - 1],
+            gameId: parts.length > 1 ? parts[parts.length - 2] : null
+        };
+    }
+    
+    // Build the per-achievement breakdown for one game of a challenge
+    function buildGameBreakdown(users, progressField, monthKey, gameId, ids, progressionIds, winIds, tiers) {
+        // Every achievement the challenge knows about, in challenge order
+        const achievementIds = Array.from(new Set([...ids, ...progressionIds, ...winIds]));
+        const earnedCounts = new Map(achievementIds.map(id => [id, 0]));
+        const funnel = Object.fromEntries(tiers.map(tier => [tier, 0]));
+        let participants = 0;
+        
+        for (const user of users) {
+            const entries = user[progressField];
+            const progress = entries instanceof Map && entries.has(monthKey)
+                ? (entries.get(monthKey) || {}).progress || 0
+                : 0;
+            
+            // Only participants' achievements count, so no percentage can pass 100
+            if (progress < 1) continue;
+            participants++;
+            tiers.forEach((tier, index) => {
+                if (progress >= index + 1) funnel[tier]++;
+            });
+            
+            // Count each achievement once per user
+            const earned = new Set();
+            for (const entry of user.announcedAchievements || []) {
+                const parsed = parseAnnouncedAchievement(entry);
+                if (parsed.gameId && parsed.gameId !== gameId) continue;
+                if (earnedCounts.has(parsed.achievementId)) earned.add(parsed.achievementId);
+            }
+            for (const id of earned) {
+                earnedCounts.set(id, earnedCounts.get(id) + 1);
+            }
+        }
+        
+        return {
+            gameId,
+            participants,
+            achievements: achievementIds.map(id => ({
+                id,
+                type: winIds.includes(id) ? 'win' : progressionIds.includes(id) ? 'progression' : 'standard',
+                earnedBy: earnedCounts.get(id),
+                earnedPercentage: participants > 0 ? Math.round((earnedCounts.get(id) / participants) * 10000) / 100 : 0
+            })),
+            funnel
+        };
+    }
+    
+    // Build the achievement breakdown for a challenge: how many participants earned
+    // each achievement and how many reached each tier
+    async function buildChallengeAchievements(challengeId) {
+        const challenge = await Challenge.findById(challengeId);
+        if (!challenge) return null;
+        
+        const monthKey = User.formatDateKey(challenge.date);
+        const users = await User.find({
+            $or: [
+                { [`monthlyChallenges.${monthKey}`]: { $exists: true } },
+                { [`shadowChallenges.${monthKey}`]: { $exists: true } }
+            ]
+        });
+        logger.debug('Found users with progress', { monthKey, count: users.length });
+        
+        const monthly = buildGameBreakdown(
+            users,
+            'monthlyChallenges',
+            monthKey,
+            challenge.monthly_challange_gameid,
+            challenge.monthly_challange_achievement_ids || [],
+            challenge.monthly_challange_progression_achievements || [],
+            challenge.monthly_challange_win_achievements || [],
+            ['participation', 'beaten', 'mastery']
+        );
+        
+        // Don't leak the shadow game before it has been revealed
+        const shadow = challenge.shadow_challange_revealed
+            ? {
+                ...formatChallengeGame(challenge, 'shadow'),
+                ...buildGameBreakdown(
+                    users,
+                    'shadowChallenges',
+                    monthKey,
+                    challenge.shadow_challange_gameid,
+                    challenge.shadow_challange_achievement_ids || [],
+                    challenge.shadow_challange_progression_achievements || [],
+                    challenge.shadow_challange_win_achievements || [],
+                    ['participation', 'beaten']
+                )
+            }
+            : null;
+        
+        return {
+            challenge: {
+                id: challenge._id.toString(),
+                month: monthKey.substring(0, 7),
+                gameTitle: challenge.monthly_game_title || null,
+                consoleName: challenge.monthly_game_console || null,
+                gameIconUrl: challenge.monthly_game_icon_url || null,
+                totalAchievements: challenge.monthly_challange_game_total
+            },
+            ...monthly,
+            shadow,
+            lastUpdated: new Date().toISOString()
+        };
+    }
+    
+    // Get the cache entry for a challenge's achievement breakdown
+    function getChallengeAchievementsCacheEntry(challengeId) {
+        return getCacheEntry(`achievements-${challengeId}`, `challenge-achievements-${challengeId}.json`);
+    }
+    
+    // Per-challenge achievement breakdown endpoint
+    app.get('/api/challenges/:id/achievements', leaderboardsAuth, validate({
+        params: { id: { type: 'objectId', required: true } }
+    }), async (req, res) => {
+        try {
+            const { id } = req.valid.params;
+            
+            // Only real challenges get a cache entry
+            if (!(await Challenge.exists({ _id: id }))) {
+                return sendError(res, 404, 'Challenge not found');
+            }
+            
+            const entry = getChallengeAchievementsCacheEntry(id);
+            const data = await getCachedData(entry, () => buildChallengeAchievements(id));
+            
+            if (!data) {
+                return sendError(res, 404, 'Challenge not found');
+            }
+            
+            sendCached(req, res, entry);
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching challenge achievements', error);
+        }
+    });
+    
+    // User profile endpoint - challenge history, awards, nominations and ranks
+    app.get('/api/users/:raUsername', leaderboardsAuth, validate({
+        params: RA_USERNAME_PARAMS
+    }), async (req, res) => {
+        try {
+            const user = await User.findByRAUsername(req.valid.params.raUsername);
+            
+            // Only admins can look up users who have opted out of public listings
+            if (!user || (getPrivacyMode(user) !== 'public' && !isAdminCaller(req))) {
+                return sendError(res, 404, 'User not found');
+            }
+            
+            // Index challenges by the same date key the bot uses for user progress
+            const challenges = await Challenge.find({}).sort({ date: 1 });
+            const challengesByKey = new Map(
+                challenges.map(challenge => [User.formatDateKey(challenge.date), challenge])
+            );
+            
+            const monthlyChallenges = [];
+            if (user.monthlyChallenges && user.monthlyChallenges instanceof Map) {
+                for (const [key, value] of user.monthlyChallenges.entries()) {
+                    const challenge = challengesByKey.get(key);
+                    monthlyChallenges.push({
+                        month: key.substring(0, 7),
+                        progress: value.progress || 0,
+                        achievements: value.achievements || 0,
+                        totalAchievements: value.totalAchievements || (challenge ? challenge.monthly_challange_game_total : null),
+                        percentage: value.percentage || 0,
+                        gameTitle: value.gameTitle || null,
+                        gameIconUrl: value.gameIconUrl || null,
+                        challenge: challenge ? {
+                            id: challenge._id.toString(),
+                            gameId: challenge.monthly_challange_gameid,
+                            totalAchievements: challenge.monthly_challange_game_total
+                        } : null
+                    });
+                }
+            }
+            
+            const shadowChallenges = [];
+            if (user.shadowChallenges && user.shadowChallenges instanceof Map) {
+                for (const [key, value] of user.shadowChallenges.entries()) {
+                    const challenge = challengesByKey.get(key);
+                    
+                    // Don't leak the shadow game before it has been revealed
+                    const revealed = Boolean(challenge && challenge.shadow_challange_revealed);
+                    shadowChallenges.push({
+                        month: key.substring(0, 7),
+                        progress: value.progress || 0,
+                        achievements: value.achievements || 0,
+                        revealed,
+                        challenge: revealed ? {
+                            id: challenge._id.toString(),
+                            gameId: challenge.shadow_challange_gameid,
+                            totalAchievements: challenge.shadow_challange_game_total
+                        } : null
+                    });
+                }
+            }
+            
+            monthlyChallenges.sort((a, b) => a.month.localeCompare(b.month));
+            shadowChallenges.sort((a, b) => a.month.localeCompare(b.month));
+            
+            const communityAwards = (user.communityAwards || []).map(award => ({
+                title: award.title,
+                points: award.points || 0,
+                awardedAt: award.awardedAt,
+                awardedBy: award.awardedBy
+            }));
+            
+            const nominations = (user.nominations || [])
+                .map(nomination => ({
+                    gameId: nomination.gameId,
+                    gameTitle: nomination.gameTitle || 'Unknown Game',
+                    consoleName: nomination.consoleName || 'Unknown Console',
+                    nominatedAt: nomination.nominatedAt
+                }))
+                .sort((a, b) => new Date(b.nominatedAt) - new Date(a.nominatedAt));
+            
+            // Current monthly rank, taken from the cached monthly leaderboard
+            let monthlyRank = null;
+            const monthlyEntry = await getMonthlyLeaderboard(getCurrentMonthStart());
+            if (monthlyEntry.data) {
+                monthlyRank = findUserRank(monthlyEntry.data.leaderboard, user.raUsername, 'totalPoints');
+                if (monthlyRank) monthlyRank.month = monthlyEntry.data.challenge.month;
+            }
+            
+            // Rank for every year the user has challenge progress or awards in
+            const years = new Set();
+            for (const entry of [...monthlyChallenges, ...shadowChallenges]) {
+                years.add(parseInt(entry.month.substring(0, 4)));
+            }
+            for (const award of communityAwards) {
+                if (award.awardedAt) years.add(getCommunityYear(award.awardedAt));
+            }
+            
+            const yearlyRanks = [];
+            for (const year of Array.from(years).sort()) {
+                const yearlyEntry = await getYearlyLeaderboard(year);
+                const yearlyRank = findUserRank(yearlyEntry.data.leaderboard, user.raUsername, 'yearlyPoints');
+                if (yearlyRank) {
+                    yearlyRanks.push({ year, ...yearlyRank });
+                }
+            }
+            
+            // Streaks over the challenge months so far
+            const currentMonthStart = getCurrentMonthStart();
+            const challengeMonthKeys = challenges
+                .filter(challenge => challenge.date < addMonths(currentMonthStart, 1))
+                .map(challenge => User.formatDateKey(challenge.date));
+            const progressByMonth = new Map(
+                Array.from(user.monthlyChallenges || [], ([key, value]) => [key, (value && value.progress) || 0])
+            );
+            const streaks = computeStreaks(progressByMonth, challengeMonthKeys, User.formatDateKey(currentMonthStart));
+            
+            res.json({
+                username: user.raUsername,
+                privacy: getPrivacyMode(user),
+                monthlyChallenges,
+                shadowChallenges,
+                streaks,
+                communityAwards,
+                nominations,
+                ranks: {
+                    monthly: monthlyRank,
+                    yearly: yearlyRanks
+                },
+                lastUpdated: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching user profile', error);
+        }
+    });
+    
+    // Build the yearly leaderboard for the given year. With raw set, rows skip
+    // privacy settings and carry user ids instead, for year snapshots.
+    async function buildYearlyLeaderboard(currentYear, { raw = false } = {}) {
+        logger.debug('Building yearly leaderboard', { year: currentYear });
+        
+        // Get all challenges for the year
+        const yearStart = new Date(Date.UTC(currentYear, 0, 1));
+        const yearEnd = new Date(Date.UTC(currentYear + 1, 0, 1));
+        
+        const challenges = await Challenge.find({
+            date: {
+                $gte: yearStart,
+                $lt: yearEnd
+            }
+        }).sort({ date: 1 });
+        
+        logger.debug('Found challenges for year', { year: currentYear, count: challenges.length });
+        
+        const pointSystem = await getPointSystemForYear(currentYear);
+        logger.debug('Using point system', { year: currentYear, version: pointSystem.version });
+        
+        // Score every user's year in the database, highest points first
+        const users = await User.aggregate(
+            yearlyLeaderboardPipeline(currentYear, pointSystem, COMMUNITY_TIME_ZONE)
+        );
+        
+        const leaderboard = users.map(user => ({
+            username: user.raUsername,
+            discordId: user.discordId,
+            yearlyPoints: user.yearlyPoints,
+            stats: user.stats
+        }));
+        
+        logger.debug('Built yearly leaderboard', { year: currentYear, users: leaderboard.length });
+        
+        // Add ranking information
+        let lastPoints = -1;
+        let lastRank = 0;
+        
+        const rankedLeaderboard = leaderboard.map((entry, index) => {
+            // If points are the same as previous entry, use the same rank
+            if (entry.yearlyPoints === lastPoints) {
+                entry.rank = lastRank;
+            } else {
+                entry.rank = index + 1;
+                lastRank = index + 1;
+                lastPoints = entry.yearlyPoints;
+            }
+            return entry;
+        });
+        
+        // Prepare response with enhanced data
+        return {
+            leaderboard: raw ? withUserIds(rankedLeaderboard, users) : applyLeaderboardPrivacy(rankedLeaderboard, users),
+            year: currentYear,
+            challengeCount: challenges.length,
+            // The rules actually used above, so explanations can't drift from the math
+            pointSystem: formatPointSystem(pointSystem),
+            lastUpdated: new Date().toISOString()
+        };
+    }
+    
+    // Yearly leaderboard endpoint
+    app.get('/api/leaderboard/yearly', leaderboardsAuth, validate({
+        query: {
+            year: { type: 'year' },
+            format: EXPORT_FORMAT_RULE,
+            ...leaderboardQuerySchema(YEARLY_ROW_FIELDS)
+        }
+    }), async (req, res) => {
+        try {
+            const { format } = req.valid.query;
+            const query = getLeaderboardQuery(req.valid.query);
+            const currentYear = req.valid.query.year || getCurrentYear();
+            
+            // Other years get a cache entry each, so only make one for a year with standings
+            if (currentYear !== getCurrentYear() && !(await hasStandingsInYear(currentYear))) {
+                return sendError(res, 404, `No challenges or community awards found for ${currentYear}`);
+            }
+            
+            const entry = await getYearlyLeaderboard(currentYear);
+            
+            const { data } = getCacheView(req, entry);
+            
+            if (format === 'csv') {
+                const rows = applyLeaderboardQuery(data, { ...query, fields: null }).leaderboard;
+                return sendCsv(res, `yearly-leaderboard-${currentYear}.csv`, YEARLY_CSV_COLUMNS, rows);
+            }
+            
+            // The default response is the cached document as-is
+            if (query.isDefault) {
+                return sendCached(req, res, entry);
+            }
+            
+            res.json(applyLeaderboardQuery(data, query));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching yearly leaderboard', error);
+        }
+    });
+    
+    // Year snapshots
+    // A year is frozen the first time it is needed after it ends, and from then on
+    // its leaderboard and monthly winners come from the snapshot. Admins can
+    // refreeze a year to deliberately pick up corrections.
+    
+    // Helper function to get the winners (everyone ranked first) of a monthly leaderboard
+    function getMonthWinners(leaderboard) {
+        return leaderboard
+            .filter(row => row.rank === 1 && row.totalPoints > 0)
+            .map(row => ({
+                userId: row.userId,
+                username: row.username,
+                discordId: row.discordId,
+                totalPoints: row.totalPoints,
+                achievements: row.achievements
+            }));
+    }
+    
+    // Helper function to get a year's champions (everyone ranked first)
+    function getYearChampions(leaderboard) {
+        return leaderboard
+            .filter(row => row.rank === 1)
+            .map(row => ({
+                username: row.username,
+                discordId: row.discordId,
+                yearlyPoints: row.yearlyPoints
+            }));
+    }
+    
+    // Build and store a snapshot of a year's standings. Years without any
+    // challenges aren't stored. Returns the snapshot, or null.
+    async function freezeYear(year) {
+        const yearly = await buildYearlyLeaderboard(year, { raw: true });
+        if (yearly.challengeCount === 0) return null;
+        
+        const months = [];
+        for (let month = 0; month < 12; month++) {
+            const monthly = await buildMonthlyLeaderboard(new Date(Date.UTC(year, month, 1)), new Date(), { raw: true });
+            if (!monthly) continue;
+            
+            months.push({
+                month: monthly.challenge.month,
+                monthYear: monthly.challenge.monthYear,
+                gameId: monthly.challenge.monthlyGame,
+                gameTitle: monthly.challenge.gameTitle,
+                winners: getMonthWinners(monthly.leaderboard)
+            });
+        }
+        
+        const snapshot = await YearSnapshot.findOneAndUpdate(
+            { year },
+            { $set: { yearly, months, frozenAt: new Date() } },
+            { upsert: true, new: true }
+        );
+        
+        logger.info('Froze year standings', { year, months: months.length });
+        return snapshot;
+    }
+    
+    // Get a completed year's snapshot, freezing the year first if needed.
+    // Returns null for the current year, future years and years without challenges.
+    async function getYearSnapshot(year) {
+        if (year >= getCurrentYear()) return null;
+        
+        const snapshot = await YearSnapshot.findOne({ year });
+        if (snapshot) return snapshot;
+        
+        try {
+            return await freezeYear(year);
+        } catch (error) {
+            // Another request froze it first
+            if (error.code === 11000) return YearSnapshot.findOne({ year });
+            throw error;
+        }
+    }
+    
+    // Build the yearly leaderboard for a year, from its snapshot once it has ended
+    async function buildYearlyStandings(year) {
+        const snapshot = await getYearSnapshot(year);
+        if (!snapshot) return buildYearlyLeaderboard(year);
+        
+        const usersById = await findSnapshotUsers(snapshot.yearly.leaderboard);
+        return {
+            ...snapshot.yearly,
+            leaderboard: applySnapshotPrivacy(snapshot.yearly.leaderboard, usersById),
+            frozenAt: snapshot.frozenAt.toISOString()
+        };
+    }
+    
+    // Helper function to get the date keys of every challenge month so far, oldest first
+    async function getChallengeMonthKeys() {
+        const challenges = await Challenge.find(
+            { date: { $lt: addMonths(getCurrentMonthStart(), 1) } },
+            'date'
+        ).sort({ date: 1 });
+        return Array.from(new Set(challenges.map(challenge => User.formatDateKey(challenge.date))));
+    }
+    
+    // Helper function to get every year with a challenge so far, oldest first
+    async function getChallengeYears() {
+        const monthKeys = await getChallengeMonthKeys();
+        return Array.from(new Set(monthKeys.map(key => parseInt(key.substring(0, 4)))));
+    }
+    
+    // Work out participation and beaten streaks: runs of consecutive challenge
+    // months with at least that tier. Months without a challenge are skipped, and
+    // the current month doesn't break a streak while it is still in progress.
+    function computeStreaks(progressByMonth, challengeMonthKeys, currentMonthKey) {
+        const streaks = {};
+        
+        for (const [name, minProgress] of [['participation', 1], ['beaten', 2]]) {
+            let run = 0;
+            let longest = 0;
+            
+            for (const key of challengeMonthKeys) {
+                if ((progressByMonth.get(key) || 0) >= minProgress) {
+                    run++;
+                    longest = Math.max(longest, run);
+                } else if (key !== currentMonthKey) {
+                    run = 0;
+                }
+            }
+            
+            streaks[name] = { current: run, longest };
+        }
+        
+        return streaks;
+    }
+    
+    // Build the all-time leaderboard: every year's points added up, each year
+    // scored with its own point system and completed years taken from snapshots
+    async function buildAllTimeLeaderboard() {
+        const years = await getChallengeYears();
+        const currentYear = getCurrentYear();
+        const totals = new Map();
+        
+        for (const year of years) {
+            const snapshot = await getYearSnapshot(year);
+            const yearly = snapshot ? snapshot.yearly : await buildYearlyLeaderboard(year, { raw: true });
+            
+            for (const row of yearly.leaderboard) {
+                if (!totals.has(row.userId)) {
+                    totals.set(row.userId, {
+                        userId: row.userId,
+                        allTimePoints: 0,
+                        yearsRanked: 0,
+                        championships: 0,
+                        stats: { mastery: 0, beaten: 0, participation: 0, shadowBeaten: 0, shadowParticipation: 0 }
+                    });
+                }
+                
+                const total = totals.get(row.userId);
+                // Years are added oldest first, so the latest name and Discord ID win
+                total.username = row.username;
+                total.discordId = row.discordId;
+                total.allTimePoints += row.yearlyPoints;
+                total.yearsRanked++;
+                // The current year's leader isn't champion until the year ends
+                if (row.rank === 1 && year < currentYear) total.championships++;
+                for (const stat of Object.keys(total.stats)) {
+                    total.stats[stat] += (row.stats && row.stats[stat]) || 0;
+                }
+            }
+        }
+        
+        // Streaks come from every user's progress in each challenge month
+        const monthKeys = await getChallengeMonthKeys();
+        const currentMonthKey = User.formatDateKey(getCurrentMonthStart());
+        const progressRows = await User.aggregate(monthlyProgressPipeline());
+        const streaksByUser = new Map(progressRows.map(user => [
+            user._id.toString(),
+            computeStreaks(new Map(user.progress.map(entry => [entry.month, entry.progress])), monthKeys, currentMonthKey)
+        ]));
+        
+        const leaderboard = Array.from(totals.values())
+            .sort((a, b) => b.allTimePoints - a.allTimePoints || a.username.localeCompare(b.username));
+        
+        // Users with equal points share a rank
+        let lastPoints = -1;
+        let lastRank = 0;
+        leaderboard.forEach((entry, index) => {
+            if (entry.allTimePoints !== lastPoints) {
+                lastRank = index + 1;
+                lastPoints = entry.allTimePoints;
+            }
+            entry.rank = lastRank;
+            entry.streaks = streaksByUser.get(entry.userId) || computeStreaks(new Map(), monthKeys, currentMonthKey);
+        });
+        
+        const usersById = await findSnapshotUsers(leaderboard);
+        
+        return {
+            leaderboard: applySnapshotPrivacy(leaderboard, usersById),
+            years,
+            lastUpdated: new Date().toISOString()
+        };
+    }
+    
+    // Build the hall of fame: each month's winners and each year's champions,
+    // newest first. Completed years come from their snapshots; the current year
+    // lists the months that have ended so far.
+    async function buildHallOfFame() {
+        const years = await getChallengeYears();
+        const currentYear = getCurrentYear();
+        const currentMonthStart = getCurrentMonthStart();
+        const hallOfFame = [];
+        
+        for (const year of years.slice().reverse()) {
+            const snapshot = await getYearSnapshot(year);
+            
+            if (snapshot) {
+                const usersById = await findSnapshotUsers([
+                    ...snapshot.yearly.leaderboard,
+                    ...snapshot.months.flatMap(month => month.winners)
+                ]);
+                
+                hallOfFame.push({
+                    year,
+                    final: true,
+                    frozenAt: snapshot.frozenAt.toISOString(),
+                    champions: getYearChampions(applySnapshotPrivacy(snapshot.yearly.leaderboard, usersById)),
+                    months: snapshot.months.slice().reverse().map(month => ({
+                        ...month,
+                        winners: applySnapshotPrivacy(month.winners, usersById)
+                    }))
+                });
+                continue;
+            }
+            
+            if (year !== currentYear) continue;
+            
+            const months = [];
+            for (let month = currentMonthStart.getUTCMonth() - 1; month >= 0; month--) {
+                const { data } = await getMonthlyLeaderboard(new Date(Date.UTC(year, month, 1)));
+                if (!data) continue;
+                
+                months.push({
+                    month: data.challenge.month,
+                    monthYear: data.challenge.monthYear,
+                    gameId: data.challenge.monthlyGame,
+                    gameTitle: data.challenge.gameTitle,
+                    winners: getMonthWinners(data.leaderboard).map(({ userId, ...winner }) => winner)
+                });
+            }
+            
+            hallOfFame.push({
+                year,
+                final: false,
+                frozenAt: null,
+                champions: [],
+                months
+            });
+        }
+        
+        return {
+            years: hallOfFame,
+            lastUpdated: new Date().toISOString()
+        };
+    }
+    
+    // All-time leaderboard endpoint
+    app.get('/api/leaderboard/all-time', leaderboardsAuth, validate({
+        query: leaderboardQuerySchema(ALL_TIME_ROW_FIELDS)
+    }), async (req, res) => {
+        try {
+            const query = getLeaderboardQuery(req.valid.query);
+            
+            const entry = getCacheEntry('all-time', 'all-time-leaderboard.json');
+            await getCachedData(entry, buildAllTimeLeaderboard);
+            
+            if (query.isDefault) {
+                return sendCached(req, res, entry);
+            }
+            
+            res.json(applyLeaderboardQuery(getCacheView(req, entry).data, query));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching all-time leaderboard', error);
+        }
+    });
+    
+    // Hall of fame endpoint
+    app.get('/api/hall-of-fame', leaderboardsAuth, async (req, res) => {
+        try {
+            const entry = getCacheEntry('hall-of-fame', 'hall-of-fame.json');
+            await getCachedData(entry, buildHallOfFame);
+            
+            sendCached(req, res, entry);
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching hall of fame', error);
+        }
+    });
+    
+    // List frozen years (admin only)
+    app.get('/api/admin/snapshots', adminApiKeyAuth, async (req, res) => {
+        try {
+            const snapshots = await YearSnapshot.find({}, 'year frozenAt').sort({ year: -1 });
+            
+            res.json({
+                snapshots: snapshots.map(snapshot => ({
+                    year: snapshot.year,
+                    frozenAt: snapshot.frozenAt
+                }))
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error listing year snapshots', error);
+        }
+    });
+    
+    // Refreeze a completed year from the current data, e.g. after correcting it (admin only)
+    app.post('/api/admin/snapshots/:year', adminApiKeyAuth, validate({
+        params: { year: { type: 'year', required: true } }
+    }), async (req, res) => {
+        try {
+            const { year } = req.valid.params;
+            if (year >= getCurrentYear()) {
+                return sendError(res, 400, 'Only completed years can be frozen');
+            }
+            
+            const snapshot = await freezeYear(year);
+            if (!snapshot) {
+                return sendError(res, 404, `No challenges found for ${year}`);
+            }
+            
+            clearCacheEntry(getYearlyCacheEntry(year));
+            clearCacheEntry(getCacheEntry('all-time', 'all-time-leaderboard.json'));
+            clearCacheEntry(getCacheEntry('hall-of-fame', 'hall-of-fame.json'));
+            
+            res.json({
+                year: snapshot.year,
+                frozenAt: snapshot.frozenAt
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error freezing year', error);
+        }
+    });
+    
+    // Build the nominations list for the month containing the given date
+    async function buildNominations(now) {
+        // Get current month in the community time zone
+        const monthStart = getMonthStart(now);
+        const currentMonth = formatMonthKey(monthStart);
+        
+        // Get only this month's nominations, for users who made any
+        const { startsAt } = getChallengeWindow(monthStart);
+        const { startsAt: endsAt } = getChallengeWindow(addMonths(monthStart, 1));
+        const users = await User.aggregate(nominationsPipeline(startsAt, endsAt));
+        
+        // Build nominations list
+        const nominations = [];
+        const nominationsByGame = new Map();
+        
+        for (const user of users) {
+            const privacy = getPrivacyMode(user);
+            const displayName = privacy === 'anonymous' ? getAnonymousName(user) : user.raUsername;
+            
+            // A game nominated twice by the same user only counts once
+            const seenGameIds = new Set();
+            
+            for (const nomination of user.nominations) {
+                if (seenGameIds.has(nomination.gameId)) continue;
+                seenGameIds.add(nomination.gameId);
+                
+                // Add to nominations list - hidden users' nominations still count below
+                if (privacy !== 'hidden') {
+                    nominations.push({
+                        username: displayName,
+                        gameId: nomination.gameId,
+                        gameTitle: nomination.gameTitle || 'Unknown Game',
+                        consoleName: nomination.consoleName || 'Unknown Console',
+                        nominatedAt: nomination.nominatedAt
+                    });
+                }
+                
+                // Track games for popularity counting
+                if (!nominationsByGame.has(nomination.gameId)) {
+                    nominationsByGame.set(nomination.gameId, {
+                        gameId: nomination.gameId,
+                        gameTitle: nomination.gameTitle || 'Unknown Game',
+                        consoleName: nomination.consoleName || 'Unknown Console',
+                        count: 0,
+                        nominatedBy: []
+                    });
+                }
+                
+                const gameNomination = nominationsByGame.get(nomination.gameId);
+                gameNomination.count++;
+                if (privacy !== 'hidden' && !gameNomination.nominatedBy.includes(displayName)) {
+                    gameNomination.nominatedBy.push(displayName);
+                }
+            }
+        }
+        
+        // Convert map to array and sort by popularity
+        const gamesList = Array.from(nominationsByGame.values())
+            .sort((a, b) => b.count - a.count);
+        
+        // Prepare response
+        return {
+            nominations,
+            gamesList,
+            month: currentMonth,
+            monthYear: formatMonthYear(monthStart),
+            lastUpdated: new Date().toISOString()
+        };
+    }
+    
+    // Nominations endpoint
+    app.get('/api/nominations', nominationsAuth, validate({
+        query: {
+            format: EXPORT_FORMAT_RULE,
+            refresh: { type: 'boolean', default: false }
+        }
+    }), async (req, res) => {
+        try {
+            const { format, refresh } = req.valid.query;
+            
+            // Force refresh if requested
+            if (refresh) {
+                logger.debug('Nominations cache refresh requested by parameter');
+                await refreshCache(cache.nominations, cacheBuilders.nominations);
+            }
+            
+            // Nominations cached before the month rolled over are not usable
+            await getCachedData(
+                cache.nominations,
+                cacheBuilders.nominations,
+                cached => cached.month === formatMonthKey(getCurrentMonthStart())
+            );
+            
+            if (format === 'csv') {
+                const data = cache.nominations.data;
+                return sendCsv(res, `nominations-${data.month}.csv`, NOMINATIONS_CSV_COLUMNS, data.gamesList);
+            }
+            
+            sendCached(req, res, cache.nominations);
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching nominations', error);
+        }
+    });
+    
+    // Nomination rules. NOMINATION_ALLOWED_CONSOLES is a comma-separated list of
+    // console names; when empty any console may be nominated.
+    const NOMINATION_LIMIT = config.nominationLimit;
+    const NOMINATION_ALLOWED_CONSOLES = config.nominationAllowedConsoles;
+    
+    // Helper function to check a console against the allowed list
+    function isAllowedConsole(consoleName) {
+        if (NOMINATION_ALLOWED_CONSOLES.length === 0) return true;
+        const lowerName = String(consoleName || '').toLowerCase();
+        return NOMINATION_ALLOWED_CONSOLES.some(name => name.toLowerCase() === lowerName);
+    }
+    
+    // Helper function to check whether a game has already been picked, either as a
+    // monthly challenge or as the winner of a nomination ballot
+    async function isPreviouslyWonGame(gameId) {
+        const [challenge, ballot] = await Promise.all([
+            Challenge.exists({ monthly_challange_gameid: gameId }),
+            Ballot.exists({ 'winner.gameId': gameId })
+        ]);
+        return Boolean(challenge || ballot);
+    }
+    
+    // Helper function to find the member a nomination request is for
+    function findNominatingUser({ discordId, raUsername }) {
+        return discordId
+            ? User.findOne({ discordId: discordId })
+            : User.findByRAUsername(raUsername);
+    }
+    
+    // Submit a nomination for the current month. The nomination is recorded for
+    // whichever member the body names, so the caller (the Discord bot, with a
+    // nominations:write key) must have verified who that member is.
+    app.post('/api/nominations', nominationsWriteAuth, validate({
+        body: {
+            discordId: { type: 'id' },
+            raUsername: { type: 'string' },
+            gameId: { type: 'raId', required: true },
+            gameTitle: { type: 'string', maxLength: 200 },
+            consoleName: { type: 'string', maxLength: 100 }
+        }
+    }), async (req, res) => {
+        try {
+            const { discordId, raUsername, gameId, gameTitle, consoleName } = req.valid.body;
+            
+            if (!discordId && !raUsername) {
+                return sendError(res, 400, 'A discordId or raUsername is required');
+            }
+            
+            if (!isAllowedConsole(consoleName)) {
+                return sendError(res, 400, `Nominations are limited to: ${NOMINATION_ALLOWED_CONSOLES.join(', ')}`);
+            }
+            
+            const user = await findNominatingUser(req.valid.body);
+            
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+            
+            const month = formatMonthKey(getCurrentMonthStart());
+            if (await Ballot.exists({ month })) {
+                return sendError(res, 409, `Nominations for ${month} are closed`);
+            }
+            
+            if (await isPreviouslyWonGame(gameId)) {
+                return sendError(res, 409, 'That game has already won a vote or been a monthly challenge');
+            }
+            
+            const now = new Date();
+            const monthStart = getMonthStart(now);
+            const { startsAt } = getChallengeWindow(monthStart);
+            const { startsAt: endsAt } = getChallengeWindow(addMonths(monthStart, 1));
+            const inMonth = { $gte: startsAt, $lt: endsAt };
+            
+            const currentNominations = (user.nominations || [])
+                .filter(nom => nom.nominatedAt >= startsAt && nom.nominatedAt < endsAt);
+            
+            if (currentNominations.some(nom => nom.gameId === gameId)) {
+                return sendError(res, 409, 'You have already nominated that game this month');
+            }
+            
+            if (currentNominations.length >= NOMINATION_LIMIT) {
+                return sendError(res, 409, `You can only nominate ${NOMINATION_LIMIT} game(s) per month`);
+            }
+            
+            // Re-check both rules in the update itself, so concurrent requests
+            // can't get past them
+            const result = await User.updateOne(
+                {
+                    _id: user._id,
+                    nominations: { $not: { $elemMatch: { gameId: gameId, nominatedAt: inMonth } } },
+                    $expr: {
+                        $lt: [
+                            {
+                                $size: {
+                                    $filter: {
+                                        input: { $ifNull: ['$nominations', []] },
+                                        as: 'nomination',
+                                        cond: {
+                                            $and: [
+                                                { $gte: ['$$nomination.nominatedAt', startsAt] },
+                                                { $lt: ['$$nomination.nominatedAt', endsAt] }
+                                            ]
+                                        }
+                                    }
+                                }
+                            },
+                            NOMINATION_LIMIT
+                        ]
+                    }
+                },
+                {
+                    $push: {
+                        nominations: {
+                            gameId: gameId,
+                            gameTitle,
+                            consoleName,
+                            nominatedAt: now
+                        }
+                    }
+                }
+            );
+            
+            if (result.modifiedCount === 0) {
+                return sendError(res, 409, 'Nomination rejected - you may have reached the limit or nominated that game already');
+            }
+            
+            clearCacheEntry(cache.nominations);
+            
+            res.status(201).json({
+                status: 'success',
+                message: 'Nomination recorded',
+                remaining: NOMINATION_LIMIT - currentNominations.length - 1
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error recording nomination', error);
+        }
+    });
+    
+    // Withdraw one of the current month's nominations. As with submitting, the
+    // caller must have verified the member it names.
+    app.delete('/api/nominations/:gameId', nominationsWriteAuth, validate({
+        params: { gameId: { type: 'raId', required: true } },
+        query: { discordId: { type: 'id' }, raUsername: { type: 'string' } },
+        body: { discordId: { type: 'id' }, raUsername: { type: 'string' } }
+    }), async (req, res) => {
+        try {
+            // The member may be given in the query string or the body
+            const identity = { ...req.valid.query, ...req.valid.body };
+            
+            if (!identity.discordId && !identity.raUsername) {
+                return sendError(res, 400, 'A discordId or raUsername is required');
+            }
+            
+            const user = await findNominatingUser(identity);
+            
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+            
+            const monthStart = getCurrentMonthStart();
+            const { startsAt } = getChallengeWindow(monthStart);
+            const { startsAt: endsAt } = getChallengeWindow(addMonths(monthStart, 1));
+            
+            const result = await User.updateOne(
+                { _id: user._id },
+                {
+                    $pull: {
+                        nominations: {
+                            gameId: req.valid.params.gameId,
+                            nominatedAt: { $gte: startsAt, $lt: endsAt }
+                        }
+                    }
+                }
+            );
+            
+            if (result.modifiedCount === 0) {
+                return sendError(res, 404, 'No nomination for that game this month');
+            }
+            
+            clearCacheEntry(cache.nominations);
+            
+            res.json({
+                status: 'success',
+                message: 'Nomination withdrawn'
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error withdrawing nomination', error);
+        }
+    });
+    
+    // Record the winner of a ballot that has closed, if it hasn't been decided yet.
+    // A ballot nobody voted on is decided without a winner.
+    async function finalizeBallot(ballot, now = new Date()) {
+        if (ballot.winner && ballot.winner.decidedAt) return ballot;
+        if (ballot.closesAt > now) return ballot;
+        
+        const [top] = tallyBallot(ballot);
+        if (!top || top.votes === 0) {
+            ballot.winner = { gameId: null, votes: 0, decidedAt: now };
+            await ballot.save();
+            logger.info('Ballot closed without any votes', { month: ballot.month });
+            return ballot;
+        }
+        
+        ballot.winner = {
+            ...top,
+            decidedAt: now
+        };
+        await ballot.save();
+        logger.info('Ballot closed', { month: ballot.month, winner: top.gameTitle, votes: top.votes });
+        
+        return ballot;
+    }
+    
+    // Decide every ballot that has closed since the last run
+    async function finalizeClosedBallots(now) {
+        const ballots = await Ballot.find({ closesAt: { $lte: now }, 'winner.decidedAt': null });
+        for (const ballot of ballots) {
+            await finalizeBallot(ballot, now);
+        }
+    }
+    
+    // Format a ballot for API responses
+    function formatBallot(ballot, now = new Date()) {
+        return {
+            id: ballot._id.toString(),
+            month: ballot.month,
+            selection: ballot.selection,
+            opensAt: ballot.opensAt.toISOString(),
+            closesAt: ballot.closesAt.toISOString(),
+            isOpen: ballot.opensAt <= now && ballot.closesAt > now,
+            totalVotes: ballot.votes.length,
+            results: tallyBallot(ballot),
+            decidedAt: ballot.winner && ballot.winner.decidedAt ? ballot.winner.decidedAt : null,
+            winner: ballot.winner && ballot.winner.gameId ? {
+                gameId: ballot.winner.gameId,
+                gameTitle: ballot.winner.gameTitle,
+                consoleName: ballot.winner.consoleName,
+                votes: ballot.winner.votes,
+                decidedAt: ballot.winner.decidedAt
+            } : null
+        };
+    }
+    
+    // Shuffle an array in place (Fisher-Yates)
+    function shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = crypto.randomInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+    
+    // Open a ballot from the current nominations (admin only)
+    app.post('/api/admin/ballots', adminApiKeyAuth, validate({
+        body: {
+            selection: { type: 'enum', values: ['random', 'top'], default: 'top' },
+            count: { type: 'integer', min: 2, default: 10 },
+            opensAt: { type: 'date' },
+            closesAt: { type: 'date', required: true }
+        }
+    }), async (req, res) => {
+        try {
+            const { selection, count: gameCount, closesAt: closesAtDate } = req.valid.body;
+            
+            const now = new Date();
+            const opensAtDate = req.valid.body.opensAt || now;
+            
+            if (closesAtDate <= opensAtDate) {
+                return sendError(res, 400, 'closesAt must be after opensAt');
+            }
+            
+            const month = formatMonthKey(getMonthStart(now));
+            if (await Ballot.exists({ month })) {
+                return sendError(res, 409, `A ballot already exists for ${month}`);
+            }
+            
+            // Build from fresh nominations so the ballot matches what was nominated
+            const nominations = await refreshCache(cache.nominations, cacheBuilders.nominations);
+            const candidates = nominations.gamesList.slice();
+            
+            if (candidates.length < 2) {
+                return sendError(res, 400, 'At least 2 nominated games are needed to open a ballot');
+            }
+            
+            const games = (selection === 'random' ? shuffle(candidates) : candidates)
+                .slice(0, gameCount)
+                .map(game => ({
+                    gameId: game.gameId,
+                    gameTitle: game.gameTitle,
+                    consoleName: game.consoleName,
+                    nominationCount: game.count
+                }));
+            
+            const ballot = await Ballot.create({
+                month,
+                selection,
+                games,
+                opensAt: opensAtDate,
+                closesAt: closesAtDate,
+                votes: []
+            });
+            
+            logger.info('Opened ballot', { month, selection, games: games.length });
+            
+            // The month's nominations are closed once they have been put to a vote
+            emitWebhookEvent('nominations.closed', {
+                month,
+                ballot: formatBallot(ballot, now)
+            }, `nominations.closed:${month}`);
+            
+            res.status(201).json(formatBallot(ballot, now));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error creating ballot', error);
+        }
+    });
+    
+    // Close a ballot early and record its winner (admin only)
+    app.post('/api/admin/ballots/:month/close', adminApiKeyAuth, validate({
+        params: { month: { type: 'month', required: true } }
+    }), async (req, res) => {
+        try {
+            const month = formatMonthKey(req.valid.params.month);
+            const ballot = await Ballot.findOne({ month });
+            
+            if (!ballot) {
+                return sendError(res, 404, `No ballot found for ${month}`);
+            }
+            
+            const now = new Date();
+            if (ballot.closesAt > now) {
+                ballot.closesAt = now;
+            }
+            await finalizeBallot(ballot, now);
+            
+            res.json(formatBallot(ballot, now));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error closing ballot', error);
+        }
+    });
+    
+    // Cast a vote on the open ballot - one vote per Discord account and RA username.
+    // The vote is recorded for whichever member the body names, so only the
+    // Discord bot's votes:write key may call this, and the bot must have verified
+    // who the voter is.
+    app.post('/api/votes', votesAuth, validate({
+        body: {
+            discordId: { type: 'id' },
+            raUsername: { type: 'string' },
+            gameId: { type: 'raId', required: true }
+        }
+    }), async (req, res) => {
+        try {
+            const { discordId, raUsername, gameId } = req.valid.body;
+            
+            if (!discordId && !raUsername) {
+                return sendError(res, 400, 'A discordId or raUsername is required');
+            }
+            
+            // Only registered members can vote; record both of their identities
+            const user = discordId
+                ? await User.findOne({ discordId: discordId })
+                : await User.findByRAUsername(raUsername);
+            
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+            
+            const now = new Date();
+            const ballot = await Ballot.findOne({
+                opensAt: { $lte: now },
+                closesAt: { $gt: now }
+            });
+            
+            if (!ballot) {
+                return sendError(res, 404, 'No ballot is currently open');
+            }
+            
+            if (!ballot.games.some(game => game.gameId === gameId)) {
+                return sendError(res, 400, 'That game is not on the ballot');
+            }
+            
+            // Push the vote only if neither identity has voted yet, so concurrent
+            // requests can't sneak in a second vote
+            const voterIds = [{ raUsername: user.raUsername }];
+            if (user.discordId) voterIds.push({ discordId: user.discordId });
+            
+            const result = await Ballot.updateOne(
+                {
+                    _id: ballot._id,
+                    votes: { $not: { $elemMatch: { $or: voterIds } } }
+                },
+                {
+                    $push: {
+                        votes: {
+                            gameId: gameId,
+                            discordId: user.discordId,
+                            raUsername: user.raUsername,
+                            votedAt: now
+                        }
+                    }
+                }
+            );
+            
+            if (result.modifiedCount === 0) {
+                return sendError(res, 409, 'You have already voted on this ballot');
+            }
+            
+            res.status(201).json({
+                status: 'success',
+                message: 'Vote recorded'
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error recording vote', error);
+        }
+    });
+    
+    // Ballot results - the current month's ballot, or a past one via ?month=YYYY-MM.
+    // The winner appears once the scheduled rebuild or an admin has closed it.
+    app.get('/api/votes/results', nominationsAuth, validate({
+        query: { month: { type: 'month' } }
+    }), async (req, res) => {
+        try {
+            const month = formatMonthKey(req.valid.query.month || getCurrentMonthStart());
+            
+            const ballot = await Ballot.findOne({ month });
+            
+            if (!ballot) {
+                return sendError(res, 404, `No ballot found for ${month}`);
+            }
+            
+            res.json({
+                ...formatBallot(ballot),
+                lastUpdated: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching ballot results', error);
+        }
+    });
+    
+    // Permanent record of every closed ballot's winning game
+    app.get('/api/votes/winners', nominationsAuth, async (req, res) => {
+        try {
+            const ballots = await Ballot.find({ 'winner.gameId': { $ne: null } }).sort({ month: -1 });
+            
+            const winners = ballots.map(ballot => ({
+                month: ballot.month,
+                gameId: ballot.winner.gameId,
+                gameTitle: ballot.winner.gameTitle,
+                consoleName: ballot.winner.consoleName,
+                votes: ballot.winner.votes,
+                totalVotes: ballot.votes.length,
+                decidedAt: ballot.winner.decidedAt
+            }));
+            
+            res.json({
+                winners,
+                lastUpdated: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching ballot winners', error);
+        }
+    });
+    
+    // Challenge fields holding lists of RetroAchievements achievement ids
+    const ACHIEVEMENT_LIST_FIELDS = [
+        'monthly_challange_achievement_ids',
+        'monthly_challange_progression_achievements',
+        'monthly_challange_win_achievements',
+        'shadow_challange_achievement_ids',
+        'shadow_challange_progression_achievements',
+        'shadow_challange_win_achievements'
+    ];
+    
+    // Helper function to check for a numeric RetroAchievements id (game or achievement)
+    function isRAId(value) {
+        return (typeof value === 'string' || Number.isInteger(value)) && /^\d+$/.test(String(value));
+    }
+    
+    // Challenge create/update body, matching challengeSchema. Updates use the same
+    // rules with every field optional.
+    const CHALLENGE_BODY_SCHEMA = {
+        date: { type: 'date', required: true },
+        monthly_challange_gameid: { type: 'raId', required: true },
+        monthly_challange_game_total: { type: 'integer', min: 0 },
+        shadow_challange_gameid: { type: 'raId' },
+        shadow_challange_game_total: { type: 'integer', min: 0 },
+        // shadow_challange_revealed is left out on purpose: reveals go through
+        // the shadow-reveal route so the webhook event goes out
+        ...Object.fromEntries(ACHIEVEMENT_LIST_FIELDS.map(field => [field, { type: 'achievementIds' }])),
+        ...Object.fromEntries(['monthly', 'shadow'].flatMap(game => [
+            [`${game}_game_title`, { type: 'string' }],
+            [`${game}_game_console`, { type: 'string' }],
+            [`${game}_game_icon_url`, { type: 'url' }]
+        ]))
+    };
+    
+    // Check that a challenge's progression and win achievements are part of its
+    // achievement list, and that the list fits within the game's total
+    function validateChallengeAchievements(challenge) {
+        const errors = [];
+        
+        for (const prefix of ['monthly_challange', 'shadow_challange']) {
+            const ids = challenge[`${prefix}_achievement_ids`] || [];
+            const total = challenge[`${prefix}_game_total`];
+            
+            if (total !== undefined && total !== null && ids.length > total) {
+                errors.push(`${prefix}_achievement_ids has more entries than ${prefix}_game_total`);
+            }
+            
+            if (ids.length === 0) continue;
+            for (const kind of ['progression', 'win']) {
+                const field = `${prefix}_${kind}_achievements`;
+                const unknown = (challenge[field] || []).filter(id => !ids.includes(id));
+                if (unknown.length > 0) {
+                    errors.push(`${field} contains ids not in ${prefix}_achievement_ids: ${unknown.join(', ')}`);
+                }
+            }
+        }
+        
+        return errors;
+    }
+    
+    // Format a challenge document for admin responses
+    function formatChallenge(challenge) {
+        const result = { id: challenge._id.toString() };
+        for (const field of Object.keys(challengeSchema.paths)) {
+            if (field === '_id' || field === '__v') continue;
+            result[field] = challenge[field];
+        }
+        return result;
+    }
+    
+    // Format one of a challenge's games (monthly or shadow) with its details
+    function formatChallengeGame(challenge, game) {
+        return {
+            gameId: challenge[`${game}_challange_gameid`] || null,
+            gameTitle: challenge[`${game}_game_title`] || null,
+            consoleName: challenge[`${game}_game_console`] || null,
+            gameIconUrl: challenge[`${game}_game_icon_url`] || null,
+            totalAchievements: challenge[`${game}_challange_game_total`] ?? null
+        };
+    }
+    
+    // Challenge fields holding a game's details, and where each comes from in the
+    // game info provider's results
+    function getGameDetailFields(game) {
+        return {
+            [`${game}_game_title`]: 'title',
+            [`${game}_game_console`]: 'consoleName',
+            [`${game}_game_icon_url`]: 'iconUrl',
+            [`${game}_challange_game_total`]: 'achievementCount'
+        };
+    }
+    
+    // Clear the details of any game whose id is changing, except details set in
+    // the same update, so they are looked up again for the new game
+    function clearChangedGameDetails(challenge, values) {
+        for (const game of ['monthly', 'shadow']) {
+            const idField = `${game}_challange_gameid`;
+            if (values[idField] === undefined || values[idField] === challenge[idField]) continue;
+            
+            for (const field of Object.keys(getGameDetailFields(game))) {
+                if (values[field] === undefined) challenge[field] = undefined;
+            }
+        }
+    }
+    
+    // Fill in a challenge's missing game details from the game info provider.
+    // Lookup failures are logged and leave the details empty. Returns whether
+    // anything changed; the caller saves the challenge.
+    async function fillChallengeGameInfo(challenge) {
+        if (!gameInfoProvider) return false;
+        let changed = false;
+        
+        for (const game of ['monthly', 'shadow']) {
+            const gameId = challenge[`${game}_challange_gameid`];
+            const fields = getGameDetailFields(game);
+            const missing = Object.keys(fields).filter(field => challenge[field] === undefined || challenge[field] === null);
+            if (!gameId || missing.length === 0) continue;
+            
+            try {
+                const info = await gameInfoProvider.getGameInfo(gameId);
+                if (!info) {
+                    logger.warn('Game info provider has no details for game', { provider: gameInfoProvider.name, gameId });
+                    continue;
+                }
+                
+                for (const field of missing) {
+                    const value = info[fields[field]];
+                    if (value !== undefined && value !== null) {
+                        challenge[field] = value;
+                        changed = true;
+                    }
+                }
+            } catch (error) {
+                logger.warn('Error looking up game details', { provider: gameInfoProvider.name, gameId, err: error });
+            }
+        }
+        
+        return changed;
+    }
+    
+    // Look up details for challenges saved without them, e.g. ones the Discord bot
+    // created. Runs with each scheduled cache rebuild.
+    async function backfillChallengeGameInfo() {
+        if (!gameInfoProvider) return;
+        
+        const challenges = await Challenge.find({
+            $or: [
+                { monthly_challange_gameid: { $nin: [null, ''] }, monthly_game_title: null },
+                { shadow_challange_gameid: { $nin: [null, ''] }, shadow_game_title: null }
+            ]
+        });
+        
+        for (const challenge of challenges) {
+            if (await fillChallengeGameInfo(challenge)) {
+                await challenge.save();
+                invalidateChallengeCaches(challenge._id, challenge.date);
+                logger.info('Filled in challenge game details', { month: formatMonthKey(challenge.date) });
+            }
+        }
+    }
+    
+    // Drop the cached data that depends on a challenge and its month
+    function invalidateChallengeCaches(challengeId, date) {
+        const monthStart = getChallengeMonthStart(date);
+        // A challenge for a month that hasn't started has no boards cached yet
+        if (monthStart <= getCurrentMonthStart()) {
+            clearCacheEntry(getMonthlyCacheEntry(monthStart));
+            clearCacheEntry(getShadowCacheEntry(monthStart));
+        }
+        if (monthStart < getCurrentMonthStart()) {
+            clearCacheEntry(getFinalStandingsEntry('monthly', monthStart));
+            clearCacheEntry(getFinalStandingsEntry('shadow', monthStart));
+        }
+        clearCacheEntry(getYearlyCacheEntry(monthStart.getUTCFullYear()));
+        clearCacheEntry(getChallengeAchievementsCacheEntry(challengeId.toString()));
+    }
+    
+    // Helper function to find a challenge by id, sending a 404 if it doesn't exist
+    async function findChallengeOr404(id, res) {
+        const challenge = await Challenge.findById(id);
+        if (!challenge) {
+            sendError(res, 404, 'Challenge not found');
+        }
+        return challenge;
+    }
+    
+    // Helper function to check whether a challenge, other than excludeId, exists in a date's month
+    async function hasChallengeInMonth(date, excludeId = null) {
+        const monthStart = getChallengeMonthStart(date);
+        const query = {
+            date: {
+                $gte: monthStart,
+                $lt: addMonths(monthStart, 1)
+            }
+        };
+        if (excludeId) query._id = { $ne: excludeId };
+        return Boolean(await Challenge.exists(query));
+    }
+    
+    // Helper function to check whether a year has anything to rank: a challenge,
+    // or a community award granted in it
+    async function hasStandingsInYear(year) {
+        const [challenge, award] = await Promise.all([
+            Challenge.exists({
+                date: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+            }),
+            User.exists({
+                communityAwards: {
+                    $elemMatch: {
+                        awardedAt: { $gte: zonedTimeToUtc(year, 1, 1, 0, 0, 0), $lt: zonedTimeToUtc(year + 1, 1, 1, 0, 0, 0) }
+                    }
+                }
+            })
+        ]);
+        return Boolean(challenge || award);
+    }
+    
+    // Create a challenge (admin only)
+    app.post('/api/admin/challenges', adminApiKeyAuth, validate({ body: CHALLENGE_BODY_SCHEMA }), async (req, res) => {
+        try {
+            const values = req.valid.body;
+            const challenge = new Challenge({
+                shadow_challange_revealed: false,
+                ...values
+            });
+            await fillChallengeGameInfo(challenge);
+            
+            // Checked once the game details are in, as they can fill in the game total
+            const errors = validateChallengeAchievements(challenge);
+            if (errors.length > 0) {
+                return sendError(res, 400, 'Invalid challenge', { details: errors });
+            }
+            
+            if (await hasChallengeInMonth(values.date)) {
+                return sendError(res, 409, `A challenge already exists for ${formatMonthKey(values.date)}`);
+            }
+            
+            await challenge.save();
+            invalidateChallengeCaches(challenge._id, challenge.date);
+            
+            logger.info('Created challenge', { month: formatMonthKey(challenge.date) });
+            res.status(201).json(formatChallenge(challenge));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error creating challenge', error);
+        }
+    });
+    
+    // Update a challenge (admin only) - only the fields provided are changed
+    app.put('/api/admin/challenges/:id', adminApiKeyAuth, validate({
+        params: { id: { type: 'objectId', required: true } },
+        body: optionalFields(CHALLENGE_BODY_SCHEMA)
+    }), async (req, res) => {
+        try {
+            const values = req.valid.body;
+            const challenge = await findChallengeOr404(req.valid.params.id, res);
+            if (!challenge) return;
+            
+            const previousDate = challenge.date;
+            clearChangedGameDetails(challenge, values);
+            challenge.set(values);
+            await fillChallengeGameInfo(challenge);
+            
+            const achievementErrors = validateChallengeAchievements(challenge);
+            if (achievementErrors.length > 0) {
+                return sendError(res, 400, 'Invalid challenge', { details: achievementErrors });
+            }
+            
+            if (values.date && await hasChallengeInMonth(values.date, challenge._id)) {
+                return sendError(res, 409, `A challenge already exists for ${formatMonthKey(values.date)}`);
+            }
+            
+            await challenge.save();
+            invalidateChallengeCaches(challenge._id, previousDate);
+            invalidateChallengeCaches(challenge._id, challenge.date);
+            
+            res.json(formatChallenge(challenge));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error updating challenge', error);
+        }
+    });
+    
+    // Delete a challenge (admin only)
+    app.delete('/api/admin/challenges/:id', adminApiKeyAuth, validate({
+        params: { id: { type: 'objectId', required: true } }
+    }), async (req, res) => {
+        try {
+            const challenge = await findChallengeOr404(req.valid.params.id, res);
+            if (!challenge) return;
+            
+            await challenge.deleteOne();
+            invalidateChallengeCaches(challenge._id, challenge.date);
+            
+            logger.info('Deleted challenge', { month: formatMonthKey(challenge.date) });
+            res.json({
+                status: 'success',
+                message: 'Challenge deleted'
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error deleting challenge', error);
+        }
+    });
+    
+    // Reveal or hide a challenge's shadow game (admin only)
+    app.post('/api/admin/challenges/:id/shadow-reveal', adminApiKeyAuth, validate({
+        params: { id: { type: 'objectId', required: true } },
+        body: { revealed: { type: 'boolean', default: true } }
+    }), async (req, res) => {
+        try {
+            const { revealed } = req.valid.body;
+            
+            const challenge = await findChallengeOr404(req.valid.params.id, res);
+            if (!challenge) return;
+            
+            if (revealed && !challenge.shadow_challange_gameid) {
+                return sendError(res, 400, 'This challenge has no shadow game to reveal');
+            }
+            
+            const wasRevealed = Boolean(challenge.shadow_challange_revealed);
+            challenge.shadow_challange_revealed = revealed;
+            await challenge.save();
+            invalidateChallengeCaches(challenge._id, challenge.date);
+            
+            if (revealed && !wasRevealed) {
+                emitWebhookEvent('challenge.shadow_revealed', {
+                    month: formatMonthKey(challenge.date),
+                    shadowGame: challenge.shadow_challange_gameid,
+                    challenge: formatChallenge(challenge)
+                });
+            }
+            
+            logger.info(revealed ? 'Shadow game revealed' : 'Shadow game hidden', { month: formatMonthKey(challenge.date) });
+            res.json(formatChallenge(challenge));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error toggling shadow reveal', error);
+        }
+    });
+    
+    // Look a challenge's game details up again, replacing the stored ones (admin only)
+    app.post('/api/admin/challenges/:id/game-info', adminApiKeyAuth, validate({
+        params: { id: { type: 'objectId', required: true } }
+    }), async (req, res) => {
+        try {
+            if (!gameInfoProvider) {
+                return sendError(res, 409, 'No game info provider is configured');
+            }
+            
+            const challenge = await findChallengeOr404(req.valid.params.id, res);
+            if (!challenge) return;
+            
+            for (const game of ['monthly', 'shadow']) {
+                for (const field of Object.keys(getGameDetailFields(game))) {
+                    challenge[field] = undefined;
+                }
+            }
+            await fillChallengeGameInfo(challenge);
+            
+            const achievementErrors = validateChallengeAchievements(challenge);
+            if (achievementErrors.length > 0) {
+                return sendError(res, 409, 'The looked up details conflict with the challenge', { details: achievementErrors });
+            }
+            
+            await challenge.save();
+            invalidateChallengeCaches(challenge._id, challenge.date);
+            
+            logger.info('Refreshed challenge game details', { month: formatMonthKey(challenge.date) });
+            res.json(formatChallenge(challenge));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error refreshing challenge game details', error);
+        }
+    });
+    
+    // Grant a community award to a user (admin only)
+    app.post('/api/admin/users/:raUsername/awards', adminApiKeyAuth, validate({
+        params: RA_USERNAME_PARAMS,
+        body: {
+            title: { type: 'string', required: true },
+            points: { type: 'integer', min: 0, required: true },
+            awardedBy: { type: 'string', required: true },
+            awardedAt: { type: 'date' }
+        }
+    }), async (req, res) => {
+        try {
+            const { title, points, awardedBy } = req.valid.body;
+            const awardedAtDate = req.valid.body.awardedAt || new Date();
+            
+            const user = await User.findByRAUsername(req.valid.params.raUsername);
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+            
+            user.communityAwards.push({
+                title,
+                points,
+                awardedAt: awardedAtDate,
+                awardedBy
+            });
+            await user.save();
+            clearCacheEntry(getYearlyCacheEntry(getCommunityYear(awardedAtDate)));
+            
+            const award = user.communityAwards[user.communityAwards.length - 1];
+            logger.info('Granted community award', { username: user.raUsername, title: award.title, points: award.points });
+            
+            res.status(201).json({
+                id: award._id.toString(),
+                username: user.raUsername,
+                title: award.title,
+                points: award.points,
+                awardedAt: award.awardedAt,
+                awardedBy: award.awardedBy
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error granting award', error);
+        }
+    });
+    
+    // Revoke a community award from a user (admin only)
+    app.delete('/api/admin/users/:raUsername/awards/:awardId', adminApiKeyAuth, validate({
+        params: { ...RA_USERNAME_PARAMS, awardId: { type: 'objectId', required: true } }
+    }), async (req, res) => {
+        try {
+            const user = await User.findByRAUsername(req.valid.params.raUsername);
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+            
+            const award = user.communityAwards.id(req.valid.params.awardId);
+            if (!award) {
+                return sendError(res, 404, 'Award not found');
+            }
+            
+            const awardYear = award.awardedAt ? getCommunityYear(award.awardedAt) : null;
+            award.deleteOne();
+            await user.save();
+            if (awardYear) {
+                clearCacheEntry(getYearlyCacheEntry(awardYear));
+            }
+            
+            logger.info('Revoked community award', { username: user.raUsername, title: award.title });
+            res.json({
+                status: 'success',
+                message: 'Award revoked'
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error revoking award', error);
+        }
+    });
+    
+    // Point system fields that hold points per tier
+    const POINT_SYSTEM_TIERS = ['mastery', 'beaten', 'participation', 'shadowBeaten', 'shadowParticipation'];
+    
+    // Get the point system that applies to a year, falling back to the defaults
+    async function getPointSystemForYear(year) {
+        const pointSystem = await PointSystem.findOne({ effectiveYear: { $lte: year } })
+            .sort({ effectiveYear: -1, version: -1 });
+        return pointSystem || DEFAULT_POINT_SYSTEM;
+    }
+    
+    // Format a point system for API responses
+    function formatPointSystem(pointSystem) {
+        const result = {
+            version: pointSystem.version,
+            effectiveYear: pointSystem.effectiveYear
+        };
+        for (const tier of POINT_SYSTEM_TIERS) {
+            result[tier] = pointSystem[tier];
+        }
+        result.communityAwards = 'Award points are added as granted';
+        result.description = pointSystem.description || null;
+        return result;
+    }
+    
+    // Drop cached yearly leaderboards from a year onwards, in memory and on disk
+    function clearYearlyCaches(fromYear) {
+        const years = new Set([getCurrentYear()]);
+        for (const fileName of fs.readdirSync(CACHE_DIR)) {
+            const match = /^yearly-leaderboard-(\d{4})\.json$/.exec(fileName);
+            if (match) years.add(parseInt(match[1]));
+        }
+        for (const key of Object.keys(cache)) {
+            const match = /^yearly-(\d{4})$/.exec(key);
+            if (match) years.add(parseInt(match[1]));
+        }
+        
+        for (const year of years) {
+            if (year >= fromYear) {
+                clearCacheEntry(getYearlyCacheEntry(year));
+            }
+        }
+    }
+    
+    // Point system endpoint - the rules that apply to a year (defaults to the current year)
+    app.get('/api/point-system', leaderboardsAuth, validate({
+        query: { year: { type: 'year' } }
+    }), async (req, res) => {
+        try {
+            const year = req.valid.query.year || getCurrentYear();
+            const pointSystem = await getPointSystemForYear(year);
+            
+            res.json({
+                year,
+                pointSystem: formatPointSystem(pointSystem)
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching point system', error);
+        }
+    });
+    
+    // List every point system version (admin only)
+    app.get('/api/admin/point-systems', adminApiKeyAuth, async (req, res) => {
+        try {
+            const pointSystems = await PointSystem.find({}).sort({ version: 1 });
+            
+            res.json({
+                default: formatPointSystem(DEFAULT_POINT_SYSTEM),
+                pointSystems: pointSystems.map(pointSystem => ({
+                    ...formatPointSystem(pointSystem),
+                    createdAt: pointSystem.createdAt
+                }))
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error listing point systems', error);
+        }
+    });
+    
+    // Add a new point system version (admin only). Existing versions are never edited,
+    // and a new one can't start in or before a frozen year, so finished years keep
+    // scoring the way they did.
+    app.post('/api/admin/point-systems', adminApiKeyAuth, validate({
+        body: {
+            effectiveYear: { type: 'year', required: true },
+            ...Object.fromEntries(POINT_SYSTEM_TIERS.map(tier => [tier, { type: 'integer', min: 0, required: true }])),
+            description: { type: 'string' }
+        }
+    }), async (req, res) => {
+        try {
+            const { effectiveYear, description } = req.valid.body;
+            
+            const frozen = await YearSnapshot.findOne({ year: { $gte: effectiveYear } }, 'year').sort({ year: -1 });
+            if (frozen) {
+                return sendError(res, 409, `${frozen.year} is already final, so a new point system must take effect in ${frozen.year + 1} or later`);
+            }
+            
+            const latest = await PointSystem.findOne({}).sort({ version: -1 });
+            const pointSystem = await PointSystem.create({
+                version: latest ? latest.version + 1 : 1,
+                effectiveYear,
+                ...Object.fromEntries(POINT_SYSTEM_TIERS.map(tier => [tier, req.valid.body[tier]])),
+                description
+            });
+            
+            clearYearlyCaches(effectiveYear);
+            logger.info('Created point system', { version: pointSystem.version, effectiveYear });
+            
+            res.status(201).json({
+                ...formatPointSystem(pointSystem),
+                createdAt: pointSystem.createdAt
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error creating point system', error);
+        }
+    });
+    
+    // Format an API key record for admin responses (never includes the hash)
+    function formatApiKey(apiKey) {
+        return {
+            id: apiKey._id.toString(),
+            label: apiKey.label,
+            prefix: apiKey.prefix,
+            scopes: apiKey.scopes,
+            createdAt: apiKey.createdAt,
+            expiresAt: apiKey.expiresAt,
+            lastUsedAt: apiKey.lastUsedAt,
+            revokedAt: apiKey.revokedAt
+        };
+    }
+    
+    // List API keys (admin only)
+    app.get('/api/admin/api-keys', adminApiKeyAuth, async (req, res) => {
+        try {
+            const apiKeys = await ApiKey.find({}).sort({ createdAt: -1 });
+            
+            res.json({
+                apiKeys: apiKeys.map(formatApiKey)
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error listing API keys', error);
+        }
+    });
+    
+    // Create an API key (admin only). The key itself is only returned here.
+    app.post('/api/admin/api-keys', adminApiKeyAuth, validate({
+        body: {
+            label: { type: 'string', required: true },
+            scopes: { type: 'list', values: API_KEY_SCOPES, required: true },
+            expiresAt: { type: 'date', future: true }
+        }
+    }), async (req, res) => {
+        try {
+            const { label, scopes } = req.valid.body;
+            const expiresAtDate = req.valid.body.expiresAt || null;
+            
+            const key = `ssk_${crypto.randomBytes(24).toString('base64url')}`;
+            const apiKey = await ApiKey.create({
+                label,
+                keyHash: hashApiKey(key),
+                prefix: key.substring(0, 8),
+                scopes,
+                expiresAt: expiresAtDate
+            });
+            
+            logger.info('Created API key', { label: apiKey.label, scopes: apiKey.scopes });
+            
+            res.status(201).json({
+                ...formatApiKey(apiKey),
+                key
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error creating API key', error);
+        }
+    });
+    
+    // Revoke an API key (admin only)
+    app.delete('/api/admin/api-keys/:id', adminApiKeyAuth, validate({
+        params: { id: { type: 'objectId', required: true } }
+    }), async (req, res) => {
+        try {
+            const apiKey = await ApiKey.findById(req.valid.params.id);
+            
+            if (!apiKey) {
+                return sendError(res, 404, 'API key not found');
+            }
+            
+            if (!apiKey.revokedAt) {
+                apiKey.revokedAt = new Date();
+                await apiKey.save();
+                logger.info('Revoked API key', { label: apiKey.label });
+            }
+            
+            res.json(formatApiKey(apiKey));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error revoking API key', error);
+        }
+    });
+    
+    // Webhooks
+    // Each delivery is a POST of {id, event, createdAt, data} signed with the
+    // webhook's secret. Receivers check X-Webhook-Signature, which is
+    // "sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>".
+    const WEBHOOK_MAX_ATTEMPTS = config.webhooks.maxAttempts;
+    const WEBHOOK_RETRY_BASE_MS = config.webhooks.retryBaseMs;
+    const WEBHOOK_TIMEOUT_MS = config.webhooks.timeoutMs;
+    const WEBHOOK_POLL_INTERVAL_MS = config.webhooks.pollIntervalMs;
+    
+    // Helper function to sign a delivery body for a webhook
+    function signWebhookPayload(secret, timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+    
+    // Format a webhook for API responses, without its secret
+    function formatWebhook(webhook) {
+        return {
+            id: webhook._id.toString(),
+            url: webhook.url,
+            events: webhook.events,
+            description: webhook.description || null,
+            createdAt: webhook.createdAt
+        };
+    }
+    
+    // Format a delivery log entry for API responses
+    function formatWebhookDelivery(delivery) {
+        return {
+            id: delivery._id.toString(),
+            webhookId: delivery.webhookId.toString(),
+            event: delivery.event,
+            status: delivery.status,
+            attempts: delivery.attempts.map(attempt => ({
+                attemptedAt: attempt.attemptedAt,
+                statusCode: attempt.statusCode ?? null,
+                error: attempt.error || null,
+                durationMs: attempt.durationMs
+            })),
+            nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+            deliveredAt: delivery.deliveredAt,
+            createdAt: delivery.createdAt,
+            payload: JSON.parse(delivery.body)
+        };
+    }
+    
+    // Queue an event for every webhook subscribed to it. Events with a key are
+    // only sent the first time. Never throws, so callers don't need to wait on it.
+    async function emitWebhookEvent(event, data, key) {
+        try {
+            let webhookEvent;
+            try {
+                webhookEvent = await WebhookEvent.create({ key, event, data });
+            } catch (error) {
+                if (error.code === 11000) return; // Already sent
+                throw error;
+            }
+            
+            const webhooks = await Webhook.find({ events: event });
+            if (webhooks.length === 0) return;
+            
+            const body = JSON.stringify({
+                id: webhookEvent._id.toString(),
+                event,
+                createdAt: webhookEvent.createdAt.toISOString(),
+                data
+            });
+            
+            await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+                webhookId: webhook._id,
+                eventId: webhookEvent._id,
+                event,
+                body
+            })));
+            
+            logger.info('Queued webhook event', { event, receivers: webhooks.length });
+            processWebhookDeliveries();
+        } catch (error) {
+            logger.error('Error queueing webhook event', { event, err: error });
+        }
+    }
+    
+    // Tier reached events already queued, as a set of event keys per month. Each
+    // month's set is loaded from the stored events the first time it is needed,
+    // so builds only queue events for tiers that are new.
+    const announcedTiers = new Map();
+    
+    // Helper function to get the tier reached events already queued for a month
+    function getAnnouncedTiers(month) {
+        if (!announcedTiers.has(month)) {
+            // Only the current and previous months are ever announced
+            const oldest = formatMonthKey(addMonths(getCurrentMonthStart(), -1));
+            for (const key of announcedTiers.keys()) {
+                if (key < oldest) announcedTiers.delete(key);
+            }
+            
+            announcedTiers.set(month, WebhookEvent.find({ event: 'challenge.tier_reached', 'data.month': month }, 'key')
+                .lean()
+                .then(events => new Set(events.map(event => event.key))));
+            announcedTiers.get(month).catch(() => announcedTiers.delete(month));
+        }
+        return announcedTiers.get(month);
+    }
+    
+    // Queue webhook events for users on a monthly leaderboard who have reached
+    // beaten or mastery and weren't announced at that tier yet. Rows are keyed on
+    // the user id, so hidden and anonymous users are announced once too, and a
+    // privacy change doesn't announce anyone again. Never throws.
+    async function notifyTiersReached(challenge, rows, users) {
+        const { month, monthlyGame, gameTitle } = challenge;
+        
+        try {
+            const announced = await getAnnouncedTiers(month);
+            const usersById = new Map(users.map(user => [user._id.toString(), user]));
+            
+            for (const row of rows) {
+                if (row.monthlyPoints < 2) continue;
+                
+                const tier = row.monthlyPoints === 3 ? 'mastery' : 'beaten';
+                const key = `challenge.tier_reached:${month}:${row.userId}:${tier}`;
+                if (announced.has(key)) continue;
+                announced.add(key);
+                
+                // The username follows the user's privacy setting, as in public listings
+                const user = usersById.get(row.userId);
+                const privacy = getPrivacyMode(user);
+                await emitWebhookEvent('challenge.tier_reached', {
+                    month,
+                    gameId: monthlyGame,
+                    gameTitle,
+                    username: privacy === 'public' ? row.username : privacy === 'anonymous' ? getAnonymousName(user) : null,
+                    discordId: row.discordId,
+                    privacy,
+                    tier,
+                    achievements: row.achievements,
+                    totalAchievements: row.totalAchievements,
+                    tierReachedAt: row.tierReachedAt
+                }, key);
+            }
+        } catch (error) {
+            logger.error('Error queueing tier reached events', { month, err: error });
+        }
+    }
+    
+    // Queue the events that follow the calendar: a new month's nominations opening
+    // and last month's leaderboard becoming final. Each is only sent once.
+    async function emitScheduledWebhookEvents(now) {
+        const monthStart = getMonthStart(now);
+        const month = formatMonthKey(monthStart);
+        const { startsAt, endsAt } = getChallengeWindow(monthStart);
+        
+        await emitWebhookEvent('nominations.opened', {
+            month,
+            monthYear: formatMonthYear(monthStart),
+            opensAt: startsAt.toISOString(),
+            closesBy: endsAt.toISOString(),
+            limitPerUser: NOMINATION_LIMIT
+        }, `nominations.opened:${month}`);
+        
+        const previousMonthStart = addMonths(monthStart, -1);
+        const previousMonth = formatMonthKey(previousMonthStart);
+        if (await WebhookEvent.exists({ key: `leaderboard.finalized:${previousMonth}` })) return;
+        
+        const entry = await getMonthlyLeaderboard(previousMonthStart);
+        if (!entry.data) return;
+        
+        await emitWebhookEvent('leaderboard.finalized', {
+            month: previousMonth,
+            challenge: entry.data.challenge,
+            leaderboard: entry.data.leaderboard
+        }, `leaderboard.finalized:${previousMonth}`);
+    }
+    
+    // Make one attempt at a delivery and record the outcome
+    async function attemptWebhookDelivery(delivery) {
+        const webhook = await Webhook.findById(delivery.webhookId);
+        const attempt = { attemptedAt: new Date() };
+        const started = Date.now();
+        
+        if (!webhook) {
+            attempt.error = 'Webhook was deleted';
+        } else {
+            const timestamp = Math.floor(started / 1000).toString();
+            try {
+                const response = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'select-start-api-webhooks',
+                        'X-Webhook-Id': webhook._id.toString(),
+                        'X-Webhook-Delivery': delivery._id.toString(),
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Timestamp': timestamp,
+                        'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, delivery.body)
+                    },
+                    body: delivery.body,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+                });
+                attempt.statusCode = response.status;
+                if (!response.ok) attempt.error = `Receiver responded with HTTP ${response.status}`;
+                await response.body?.cancel();
+            } catch (error) {
+                attempt.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+            }
+        }
+        attempt.durationMs = Date.now() - started;
+        
+        delivery.attempts.push(attempt);
+        if (!attempt.error) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = attempt.attemptedAt;
+        } else if (!webhook || delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+            logger.warn('Webhook delivery failed', {
+                deliveryId: delivery._id.toString(),
+                event: delivery.event,
+                attempts: delivery.attempts.length,
+                error: attempt.error
+            });
+        } else {
+            // Back off exponentially between attempts
+            delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1));
+        }
+        await delivery.save();
+    }
+    
+    // Send every delivery that is due. Only one run happens at a time; a request
+    // made during a run makes it look again before finishing.
+    let webhookDeliveryRunning = false;
+    let webhookDeliveryRequested = false;
+    
+    async function processWebhookDeliveries() {
+        webhookDeliveryRequested = true;
+        if (webhookDeliveryRunning) return;
+        webhookDeliveryRunning = true;
+        
+        try {
+            while (webhookDeliveryRequested) {
+                webhookDeliveryRequested = false;
+                
+                const due = await WebhookDelivery.find({
+                    status: 'pending',
+                    nextAttemptAt: { $lte: new Date() }
+                }).sort({ nextAttemptAt: 1 });
+                
+                for (const delivery of due) {
+                    await attemptWebhookDelivery(delivery);
+                }
+            }
+        } catch (error) {
+            logger.error('Error processing webhook deliveries', { err: error });
+        } finally {
+            webhookDeliveryRunning = false;
+        }
+    }
+    
+    // Helper function to find a webhook by id, sending a 404 if it doesn't exist
+    async function findWebhookOr404(id, res) {
+        const webhook = await Webhook.findById(id);
+        if (!webhook) {
+            sendError(res, 404, 'Webhook not found');
+        }
+        return webhook;
+    }
+    
+    // List webhooks (admin only)
+    app.get('/api/admin/webhooks', adminApiKeyAuth, async (req, res) => {
+        try {
+            const webhooks = await Webhook.find({}).sort({ createdAt: -1 });
+            
+            res.json({
+                webhooks: webhooks.map(formatWebhook),
+                events: WEBHOOK_EVENTS
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error listing webhooks', error);
+        }
+    });
+    
+    // Register a webhook (admin only). The signing secret is only returned here.
+    app.post('/api/admin/webhooks', adminApiKeyAuth, validate({
+        body: {
+            url: { type: 'url', required: true },
+            events: { type: 'list', values: WEBHOOK_EVENTS, required: true },
+            description: { type: 'string' }
+        }
+    }), async (req, res) => {
+        try {
+            const { url, events, description } = req.valid.body;
+            
+            const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+            const webhook = await Webhook.create({
+                url,
+                secret,
+                events,
+                description
+            });
+            
+            logger.info('Registered webhook', { webhookId: webhook._id.toString(), events: webhook.events });
+            
+            res.status(201).json({
+                ...formatWebhook(webhook),
+                secret
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error creating webhook', error);
+        }
+    });
+    
+    // Delete a webhook (admin only). Its pending deliveries are dropped.
+    app.delete('/api/admin/webhooks/:id', adminApiKeyAuth, validate({
+        params: { id: { type: 'objectId', required: true } }
+    }), async (req, res) => {
+        try {
+            const webhook = await findWebhookOr404(req.valid.params.id, res);
+            if (!webhook) return;
+            
+            await webhook.deleteOne();
+            await WebhookDelivery.updateMany(
+                { webhookId: webhook._id, status: 'pending' },
+                { $set: { status: 'failed' } }
+            );
+            
+            logger.info('Deleted webhook', { webhookId: webhook._id.toString() });
+            res.json(formatWebhook(webhook));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error deleting webhook', error);
+        }
+    });
+    
+    // Send a test event to a webhook (admin only)
+    app.post('/api/admin/webhooks/:id/ping', adminApiKeyAuth, validate({
+        params: { id: { type: 'objectId', required: true } }
+    }), async (req, res) => {
+        try {
+            const webhook = await findWebhookOr404(req.valid.params.id, res);
+            if (!webhook) return;
+            
+            const webhookEvent = await WebhookEvent.create({ event: 'ping', data: {} });
+            const delivery = await WebhookDelivery.create({
+                webhookId: webhook._id,
+                eventId: webhookEvent._id,
+                event: 'ping',
+                body: JSON.stringify({
+                    id: webhookEvent._id.toString(),
+                    event: 'ping',
+                    createdAt: webhookEvent.createdAt.toISOString(),
+                    data: {}
+                }),
+                nextAttemptAt: null // Sent below rather than by the background sender
+            });
+            
+            await attemptWebhookDelivery(delivery);
+            
+            res.json(formatWebhookDelivery(delivery));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error pinging webhook', error);
+        }
+    });
+    
+    // Delivery log for a webhook, newest first (admin only)
+    app.get('/api/admin/webhooks/:id/deliveries', adminApiKeyAuth, validate({
+        params: { id: { type: 'objectId', required: true } },
+        query: {
+            status: { type: 'enum', values: ['pending', 'delivered', 'failed'] },
+            limit: { type: 'integer', min: 1, max: 200, default: 50 }
+        }
+    }), async (req, res) => {
+        try {
+            const webhook = await findWebhookOr404(req.valid.params.id, res);
+            if (!webhook) return;
+            
+            const { status, limit } = req.valid.query;
+            const query = { webhookId: webhook._id };
+            if (status) query.status = status;
+            
+            const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(limit);
+            
+            res.json({
+                webhook: formatWebhook(webhook),
+                deliveries: deliveries.map(formatWebhookDelivery)
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error fetching webhook deliveries', error);
+        }
+    });
+    
+    // Send a failed delivery again now (admin only). The retry gets its own log
+    // entry so the original attempts stay on record.
+    app.post('/api/admin/webhooks/:id/deliveries/:deliveryId/retry', adminApiKeyAuth, validate({
+        params: {
+            id: { type: 'objectId', required: true },
+            deliveryId: { type: 'objectId', required: true }
+        }
+    }), async (req, res) => {
+        try {
+            const webhook = await findWebhookOr404(req.valid.params.id, res);
+            if (!webhook) return;
+            
+            const delivery = await WebhookDelivery.findOne({ _id: req.valid.params.deliveryId, webhookId: webhook._id });
+            
+            if (!delivery) {
+                return sendError(res, 404, 'Delivery not found');
+            }
+            
+            if (delivery.status === 'delivered') {
+                return sendError(res, 409, 'That delivery has already succeeded');
+            }
+            
+            if (delivery.status === 'pending') {
+                return sendError(res, 409, 'That delivery is still being retried');
+            }
+            
+            // Not picked up by the background sender until this attempt is made
+            const retry = await WebhookDelivery.create({
+                webhookId: webhook._id,
+                eventId: delivery.eventId,
+                event: delivery.event,
+                body: delivery.body,
+                nextAttemptAt: null
+            });
+            
+            await attemptWebhookDelivery(retry);
+            
+            res.json(formatWebhookDelivery(retry));
+            
+        } catch (error) {
+            sendInternalError(res, 'Error retrying webhook delivery', error);
+        }
+    });
+    
+    // Season archive download (admin only) - a zip of every finished month's final
+    // standings in a year, plus the year's leaderboard, as both CSV and JSON
+    app.get('/api/admin/archive/:year', adminApiKeyAuth, validate({
+        params: { year: { type: 'year', required: true } }
+    }), async (req, res) => {
+        try {
+            const { year } = req.valid.params;
+            const currentMonthStart = getCurrentMonthStart();
+            const challenges = await Challenge.find({
+                date: {
+                    $gte: new Date(Date.UTC(year, 0, 1)),
+                    $lt: new Date(Date.UTC(year + 1, 0, 1))
+                }
+            }).sort({ date: 1 });
+            
+            // Only finished months have final standings
+            const monthStarts = challenges
+                .map(challenge => getChallengeMonthStart(challenge.date))
+                .filter(monthStart => monthStart < currentMonthStart);
+            
+            if (monthStarts.length === 0) {
+                return sendError(res, 404, `No finished challenges found for ${year}`);
+            }
+            
+            // Build everything before streaming so a failure can still send a JSON error
+            const files = [];
+            for (const monthStart of monthStarts) {
+                const { data } = await getMonthlyLeaderboard(monthStart);
+                if (!data) continue;
+                
+                const month = formatMonthKey(monthStart);
+                files.push([`monthly/${month}.csv`, toCsv(MONTHLY_CSV_COLUMNS, data.leaderboard)]);
+                files.push([`monthly/${month}.json`, JSON.stringify(data, null, 2)]);
+            }
+            
+            const { data: yearly } = await getYearlyLeaderboard(year);
+            files.push([`yearly-${year}.csv`, toCsv(YEARLY_CSV_COLUMNS, yearly.leaderboard)]);
+            files.push([`yearly-${year}.json`, JSON.stringify(yearly, null, 2)]);
+            
+            const archive = archiver('zip', { zlib: { level: 9 } });
+            archive.on('error', error => {
+                logger.error('Error writing season archive', { year, err: error });
+                res.destroy(error);
+            });
+            
+            res.attachment(`select-start-season-${year}.zip`);
+            archive.pipe(res);
+            for (const [name, contents] of files) {
+                archive.append(contents, { name: `season-${year}/${name}` });
+            }
+            await archive.finalize();
+            
+            logger.info('Sent season archive', { year, months: monthStarts.length });
+            
+        } catch (error) {
+            if (res.headersSent) {
+                logger.error('Error building season archive', { err: error });
+                return res.destroy(error);
+            }
+            sendInternalError(res, 'Error building season archive', error);
+        }
+    });
+    
+    // Helper function to find a user by RA username, sending a 404 if they don't exist
+    async function findUserOr404(raUsername, res) {
+        const user = await User.findByRAUsername(raUsername);
+        if (!user) {
+            sendError(res, 404, 'User not found');
+        }
+        return user;
+    }
+    
+    // Set a user's privacy mode (admin only)
+    app.put('/api/admin/users/:raUsername/privacy', adminApiKeyAuth, validate({
+        params: RA_USERNAME_PARAMS,
+        body: { privacy: { type: 'enum', values: USER_PRIVACY_MODES, required: true } }
+    }), async (req, res) => {
+        try {
+            const { privacy } = req.valid.body;
+            
+            const user = await findUserOr404(req.valid.params.raUsername, res);
+            if (!user) return;
+            
+            user.privacy = privacy;
+            await user.save();
+            clearAllCaches();
+            
+            logger.info('Set user privacy', { username: user.raUsername, privacy });
+            res.json({
+                username: user.raUsername,
+                privacy
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error setting user privacy', error);
+        }
+    });
+    
+    // Export everything stored about a user, for a data access request (admin only)
+    app.get('/api/admin/users/:raUsername/export', adminApiKeyAuth, validate({
+        params: RA_USERNAME_PARAMS
+    }), async (req, res) => {
+        try {
+            const user = await findUserOr404(req.valid.params.raUsername, res);
+            if (!user) return;
+            
+            const identities = [{ raUsername: user.raUsername }];
+            if (user.discordId) identities.push({ discordId: user.discordId });
+            
+            const ballots = await Ballot.find({ votes: { $elemMatch: { $or: identities } } }).sort({ month: 1 });
+            const votes = ballots.flatMap(ballot => ballot.votes
+                .filter(vote => vote.raUsername === user.raUsername || (user.discordId && vote.discordId === user.discordId))
+                .map(vote => ({
+                    month: ballot.month,
+                    gameId: vote.gameId,
+                    votedAt: vote.votedAt
+                })));
+            
+            res.attachment(`user-export-${user.raUsername}.json`);
+            res.json({
+                user: user.toObject({ flattenMaps: true }),
+                votes,
+                exportedAt: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error exporting user data', error);
+        }
+    });
+    
+    // Helper function to copy a webhook payload with a user's name and Discord ID
+    // blanked out wherever they appear
+    function scrubUserFromPayload(value, user) {
+        if (Array.isArray(value)) return value.map(item => scrubUserFromPayload(item, user));
+        if (!value || typeof value !== 'object') return value;
+        
+        const isUser = value.username === user.raUsername || Boolean(user.discordId && value.discordId === user.discordId);
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = isUser && (key === 'username' || key === 'discordId')
+                ? null
+                : scrubUserFromPayload(item, user);
+        }
+        return result;
+    }
+    
+    // Helper function to remove a user from stored webhook events and the bodies
+    // of their deliveries. Returns the number of events changed.
+    async function scrubUserFromWebhookEvents(user) {
+        const identities = [
+            { 'data.username': user.raUsername },
+            { 'data.leaderboard.username': user.raUsername }
+        ];
+        if (user.discordId) {
+            identities.push({ 'data.discordId': user.discordId }, { 'data.leaderboard.discordId': user.discordId });
+        }
+        
+        const webhookEvents = await WebhookEvent.find({ $or: identities });
+        for (const webhookEvent of webhookEvents) {
+            webhookEvent.data = scrubUserFromPayload(webhookEvent.data, user);
+            await webhookEvent.save();
+            
+            const deliveries = await WebhookDelivery.find({ eventId: webhookEvent._id });
+            for (const delivery of deliveries) {
+                delivery.body = JSON.stringify(scrubUserFromPayload(JSON.parse(delivery.body), user));
+                await delivery.save();
+            }
+        }
+        
+        return webhookEvents.length;
+    }
+    
+    // Delete a user's data, for a deletion request (admin only). Ballot votes are
+    // kept without the voter's identity so recorded results don't change. The
+    // user's rows are removed from frozen year standings, and their name and
+    // Discord ID from stored webhook events.
+    app.delete('/api/admin/users/:raUsername', adminApiKeyAuth, validate({
+        params: RA_USERNAME_PARAMS
+    }), async (req, res) => {
+        try {
+            const user = await findUserOr404(req.valid.params.raUsername, res);
+            if (!user) return;
+            
+            let anonymizedVotes = 0;
+            const fields = [['raUsername', user.raUsername]];
+            if (user.discordId) fields.push(['discordId', user.discordId]);
+            
+            for (const [field, value] of fields) {
+                const result = await Ballot.updateMany(
+                    { [`votes.${field}`]: value },
+                    { $set: { [`votes.$[vote].${field}`]: null } },
+                    { arrayFilters: [{ [`vote.${field}`]: value }] }
+                );
+                anonymizedVotes += result.modifiedCount;
+            }
+            
+            // Snapshot rows carry user ids rather than having privacy applied
+            const userId = user._id.toString();
+            const snapshots = await YearSnapshot.updateMany(
+                { $or: [{ 'yearly.leaderboard.userId': userId }, { 'months.winners.userId': userId }] },
+                { $pull: { 'yearly.leaderboard': { userId }, 'months.$[].winners': { userId } } }
+            );
+            
+            const webhookEventsScrubbed = await scrubUserFromWebhookEvents(user);
+            scrubUserFromFinalStandings(userId);
+            
+            await user.deleteOne();
+            clearAllCaches();
+            
+            logger.info('Deleted user on request', { username: user.raUsername });
+            res.json({
+                status: 'success',
+                message: `Deleted ${user.raUsername}`,
+                ballotsUpdated: anonymizedVotes,
+                snapshotsUpdated: snapshots.modifiedCount,
+                webhookEventsScrubbed
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error deleting user data', error);
+        }
+    });
+    
+    // Force update endpoint (admin only) - rebuilds the requested caches immediately
+    app.post('/api/admin/force-update', adminApiKeyAuth, validate({
+        body: { target: { type: 'enum', values: ['all', 'leaderboards', 'nominations'], required: true } }
+    }), async (req, res) => {
+        try {
+            // Determine what to update
+            const { target } = req.valid.body;
+            
+            const sections = [];
+            if (target === 'all' || target === 'leaderboards') {
+                sections.push('monthly', 'yearly');
+            }
+            if (target === 'all' || target === 'nominations') {
+                sections.push('nominations');
+            }
+            
+            await Promise.all(sections.map(section => refreshCache(cache[section], cacheBuilders[section])));
+            
+            res.json({
+                status: 'success',
+                message: `Rebuilt cache for ${target}.`,
+                updated: Object.fromEntries(sections.map(section => [
+                    section,
+                    cache[section].lastUpdated ? cache[section].lastUpdated.toISOString() : null
+                ]))
+            });
+            
+        } catch (error) {
+            sendInternalError(res, 'Error in force update', error);
+        }
+    });
+    
+    // Anything not matched by a route above
+    app.use((req, res) => {
+        sendError(res, 404, `No route for ${req.method} ${req.path}`);
+    });
+    
+    // Errors passed on to Express, e.g. from the JSON body parser. Client errors it
+    // flags as safe to show are described; anything else is logged and kept generic.
+    app.use((error, req, res, next) => {
+        if (res.headersSent) {
+            return next(error);
+        }
+        
+        if (error.type === 'entity.parse.failed') {
+            return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+        }
+        if (error.expose && error.status >= 400 && error.status < 500) {
+            return sendError(res, error.status, error.message);
+        }
+        
+        sendInternalError(res, 'Unhandled request error', error);
+    });
+    
+    // Builders for the current period of each core cache section
+    const cacheBuilders = {
+        monthly: () => buildMonthlyLeaderboard(getCurrentMonthStart(), new Date()),
+        yearly: () => buildYearlyLeaderboard(getCurrentYear()),
+        nominations: () => buildNominations(new Date())
+    };
+    
+    // When the last scheduled rebuild ran and which sections failed, for /api/ready
+    let lastCacheRebuild = null;
+    
+    // Rebuild every core cache section; failures are logged and kept on the entry
+    async function rebuildAllCaches() {
+        const startedAt = new Date();
+        const errors = {};
+        
+        try {
+            await backfillChallengeGameInfo();
+        } catch (error) {
+            logger.error('Error filling in challenge game details', { err: error });
+        }
+        
+        // Freeze last year as soon as it is over
+        try {
+            await getYearSnapshot(getCurrentYear() - 1);
+        } catch (error) {
+            logger.error('Error freezing last year', { err: error });
+        }
+        
+        try {
+            await finalizeClosedBallots(new Date());
+        } catch (error) {
+            logger.error('Error closing ballots', { err: error });
+        }
+        
+        for (const [section, build] of Object.entries(cacheBuilders)) {
+            try {
+                await refreshCache(cache[section], build);
+                logger.debug('Scheduled cache rebuild complete', { cache: section });
+            } catch (error) {
+                logger.error('Scheduled cache rebuild failed', { cache: section, err: error });
+                errors[section] = CACHE_REBUILD_ERROR_MESSAGE;
+            }
+        }
+        
+        lastCacheRebuild = {
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            errors: Object.keys(errors).length > 0 ? errors : null
+        };
+        
+        try {
+            await emitScheduledWebhookEvents(new Date());
+        } catch (error) {
+            logger.error('Error sending scheduled webhook events', { err: error });
+        }
+    }
+    
+    // Helper function to get a user's privacy mode, treating unset as public
+    function getPrivacyMode(user) {
+        return USER_PRIVACY_MODES.includes(user.privacy) ? user.privacy : 'public';
+    }
+    
+    // Helper function to get the stable name shown in place of an anonymous user's
+    function getAnonymousName(user) {
+        const hash = crypto.createHash('sha256').update(`anonymous:${user._id}`).digest('hex');
+        return `Anonymous ${hash.substring(0, 6)}`;
+    }
+    
+    // Apply users' privacy settings to ranked leaderboard rows. Hidden users are
+    // dropped and anonymous users lose their name, but ranks stay as computed with
+    // everyone so they still match what the Discord bot announces.
+    function applyLeaderboardPrivacy(rows, users) {
+        const usersByName = new Map(users.map(user => [user.raUsername, user]));
+        
+        return rows
+            .filter(row => getPrivacyMode(usersByName.get(row.username)) !== 'hidden')
+            .map(row => {
+                const user = usersByName.get(row.username);
+                if (getPrivacyMode(user) !== 'anonymous') return row;
+                return {
+                    ...row,
+                    username: getAnonymousName(user),
+                    anonymous: true
+                };
+            });
+    }
+    
+    // Helper function to tag leaderboard rows with their user's id
+    function withUserIds(rows, users) {
+        const userIds = new Map(users.map(user => [user.raUsername, user._id.toString()]));
+        return rows.map(row => ({ ...row, userId: userIds.get(row.username) }));
+    }
+    
+    // Load the users referenced by snapshot rows, keyed by id, with just what
+    // applySnapshotPrivacy needs
+    async function findSnapshotUsers(rows) {
+        const userIds = Array.from(new Set(rows.map(row => row.userId).filter(Boolean)));
+        const users = await User.find({ _id: { $in: userIds } }, 'raUsername privacy');
+        return new Map(users.map(user => [user._id.toString(), user]));
+    }
+    
+    // Apply users' current privacy settings to snapshot rows and drop the user ids.
+    // Rows for users deleted since the snapshot was taken are left out.
+    function applySnapshotPrivacy(rows, usersById) {
+        return rows
+            .filter(row => usersById.has(row.userId) && getPrivacyMode(usersById.get(row.userId)) !== 'hidden')
+            .map(({ userId, ...row }) => {
+                const user = usersById.get(userId);
+                if (getPrivacyMode(user) !== 'anonymous') return row;
+                return {
+                    ...row,
+                    username: getAnonymousName(user),
+                    anonymous: true
+                };
+            });
+    }
+    
+    // Helper function to find a user's rank and points on a ranked leaderboard
+    function findUserRank(leaderboard, username, pointsField) {
+        const lowerName = username.toLowerCase();
+        const row = leaderboard.find(entry => entry.username && entry.username.toLowerCase() === lowerName);
+        if (!row) return null;
+        
+        return {
+            rank: row.rank,
+            points: row[pointsField]
+        };
+    }
+    
+    // Helper function to escape a string for use in a regular expression
+    function escapeRegex(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    
+    // Time zone helpers
+    // Months are identified by UTC-midnight dates on the 1st (the same way the bot
+    // stores Challenge.date), while "now" and challenge windows follow the
+    // community time zone.
+    
+    // Formatters are expensive to create, so keep one per time zone
+    const zonedFormatters = new Map();
+    
+    // Helper function to check that a string is a valid IANA time zone
+    function isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // Helper function to get the wall-clock parts of an instant in a time zone
+    function getZonedDateParts(date, timeZone = COMMUNITY_TIME_ZONE) {
+        if (!zonedFormatters.has(timeZone)) {
+            zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+        
+        const parts = {};
+        for (const part of zonedFormatters.get(timeZone).formatToParts(date)) {
+            if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+        }
+        return parts; // month is 1-12
+    }
+    
+    // Helper function to convert a wall-clock time in a time zone to an instant
+    function zonedTimeToUtc(year, month, day, hour, minute, second, timeZone = COMMUNITY_TIME_ZONE) {
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        const offsetAt = instant => {
+            const parts = getZonedDateParts(new Date(instant), timeZone);
+            return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+                Math.floor(instant / 1000) * 1000;
+        };
+        
+        // The second pass corrects a first guess that landed across a DST change
+        let instant = wallClock - offsetAt(wallClock);
+        instant = wallClock - offsetAt(instant);
+        return new Date(instant);
+    }
+    
+    // Helper function to get the month containing an instant in the community time zone
+    function getMonthStart(date) {
+        const parts = getZonedDateParts(date);
+        return new Date(Date.UTC(parts.year, parts.month - 1, 1));
+    }
+    
+    // Helper function to get the first day of the current month
+    function getCurrentMonthStart() {
+        return getMonthStart(new Date());
+    }
+    
+    // Helper function to get the year containing an instant in the community time zone
+    function getCommunityYear(date) {
+        return getZonedDateParts(new Date(date)).year;
+    }
+    
+    // Helper function to get the current year in the community time zone
+    function getCurrentYear() {
+        return getCommunityYear(new Date());
+    }
+    
+    // Helper function to get the month a challenge date belongs to
+    function getChallengeMonthStart(date) {
+        const challengeDate = new Date(date);
+        return new Date(Date.UTC(challengeDate.getUTCFullYear(), challengeDate.getUTCMonth(), 1));
+    }
+    
+    // Helper function to move a month start forwards or backwards by whole months
+    function addMonths(monthStart, months) {
+        return new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + months, 1));
+    }
+    
+    // Helper function to get when a month's challenge starts and ends. It ends at
+    // 11:59:59 PM on the last day of the month in the community time zone.
+    function getChallengeWindow(monthStart) {
+        const nextMonthStart = addMonths(monthStart, 1);
+        const startsAt = zonedTimeToUtc(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1, 0, 0, 0);
+        const nextStartsAt = zonedTimeToUtc(nextMonthStart.getUTCFullYear(), nextMonthStart.getUTCMonth() + 1, 1, 0, 0, 0);
+        return {
+            startsAt,
+            endsAt: new Date(nextStartsAt.getTime() - 1000)
+        };
+    }
+    
+    // Helper function to format a month start as e.g. "January 2025"
+    function formatMonthYear(monthStart) {
+        return monthStart.toLocaleString('default', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+    
+    // Helper function to format an end date as e.g. "January 31st, 2025 at 11:59 PM"
+    function formatEndDate(date, timeZone = COMMUNITY_TIME_ZONE) {
+        const parts = getZonedDateParts(date, timeZone);
+        const monthName = date.toLocaleString('default', { month: 'long', timeZone });
+        const hour = parts.hour % 12 || 12;
+        const minute = String(parts.minute).padStart(2, '0');
+        return `${monthName} ${parts.day}${getDaySuffix(parts.day)}, ${parts.year} at ${hour}:${minute} ${parts.hour < 12 ? 'AM' : 'PM'}`;
+    }
+    
+    // Helper function to parse a YYYY-MM month parameter into the first day of that month
+    function parseMonthParam(value) {
+        const match = /^(\d{4})-(\d{2})$/.exec(value);
+        if (!match) return null;
+        
+        const year = parseInt(match[1]);
+        const month = parseInt(match[2]);
+        if (month < 1 || month > 12) return null;
+        
+        return new Date(Date.UTC(year, month - 1, 1));
+    }
+    
+    // Helper function to format a month start as a YYYY-MM month key
+    function formatMonthKey(monthStart) {
+        return `${monthStart.getUTCFullYear()}-${String(monthStart.getUTCMonth() + 1).padStart(2, '0')}`;
+    }
+    
+    // Helper function to get day suffix (st, nd, rd, th)
+    function getDaySuffix(day) {
+        if (day > 3 && day < 21) return 'th';
+        switch (day % 10) {
+            case 1: return 'st';
+            case 2: return 'nd';
+            case 3: return 'rd';
+            default: return 'th';
+        }
+    }
+    
+    // Helper function to format time remaining
+    function formatTimeRemaining(end, now) {
+        const diffMs = end - now;
+        if (diffMs <= 0) return 'Challenge has ended';
+        
+        const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+        const diffHrs = Math.floor((diffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+        
+        if (diffDays === 0) {
+            return `${diffHrs} hour${diffHrs !== 1 ? 's' : ''}`;
+        } else {
+            return `${diffDays} day${diffDays !== 1 ? 's' : ''} and ${diffHrs} hour${diffHrs !== 1 ? 's' : ''}`;
+        }
+    }
+    
+    // Start the background work once the database is connected: keeping the
+    // caches warm and retrying webhook deliveries
+    function start() {
+        monitorMongoCommands(connection.getClient());
+        rebuildAllCaches();
+        processWebhookDeliveries();
+        backgroundTimers.push(
+            setInterval(rebuildAllCaches, CACHE_REFRESH_INTERVAL_MS),
+            setInterval(processWebhookDeliveries, WEBHOOK_POLL_INTERVAL_MS)
+        );
+    }
+    
+    // Stop the background work and end every event stream, e.g. before shutting
+    // down. From then on the readiness check reports not ready.
+    function stop() {
+        shuttingDown = true;
+        
+        backgroundTimers.forEach(clearInterval);
+        backgroundTimers.length = 0;
+        if (streamPollTimer) {
+            clearInterval(streamPollTimer);
+            streamPollTimer = null;
+        }
+        
+        // Event streams never finish on their own
+        for (const client of streamClients) {
+            client.end();
+        }
+    }
+    
+    return { app, logger, start, stop, rebuildAllCaches };
+}
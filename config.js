@@ -0,0 +1,133 @@
+// config.js
+// Reads the API's settings from environment variables. createApp takes the
+// resulting object, so tests can build a config from their own variables.
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_API_KEY = 'dev-key';
+const DEFAULT_ADMIN_API_KEY = 'admin-key';
+
+// Helper function to split a comma-separated setting into its entries
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+}
+
+// Helper function to read a numeric setting. The default is only used when the
+// setting is unset or blank, so an explicit 0 is kept wherever min allows it;
+// anything else that isn't a valid number throws.
+function parseNumber(env, name, defaultValue, { min = 0, integer = true } = {}) {
+    const raw = env[name];
+    if (raw === undefined || raw.trim() === '') return defaultValue;
+    
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+        throw new Error(`Invalid ${name} "${raw}". Must be ${integer ? 'an integer' : 'a number'} of at least ${min}.`);
+    }
+    return value;
+}
+
+// Helper function to read a number of seconds as milliseconds. Intervals and
+// timeouts pass positive, since 0 would make them fire immediately.
+function parseSeconds(env, name, defaultSeconds, { positive = false } = {}) {
+    const seconds = parseNumber(env, name, defaultSeconds, { integer: false });
+    if (positive && seconds === 0) {
+        throw new Error(`Invalid ${name} "${env[name]}". Must be a number of seconds greater than 0.`);
+    }
+    return seconds * 1000;
+}
+
+// Build the config from a set of environment variables. Throws if a setting
+// can't be used.
+export function loadConfig(env = process.env) {
+    const isProduction = env.NODE_ENV === 'production';
+    
+    const logLevel = (env.LOG_LEVEL || 'info').toLowerCase();
+    if (!LOG_LEVELS[logLevel]) {
+        throw new Error(`Invalid LOG_LEVEL "${env.LOG_LEVEL}". Must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    
+    // The static keys only fall back to their well-known defaults outside production.
+    // In production API_KEY is optional (scoped keys can replace it) but ADMIN_API_KEY
+    // is needed to manage keys at all.
+    const apiKey = env.API_KEY || (isProduction ? null : DEFAULT_API_KEY);
+    const adminApiKey = env.ADMIN_API_KEY || (isProduction ? null : DEFAULT_ADMIN_API_KEY);
+    
+    if (isProduction && (!adminApiKey || apiKey === DEFAULT_API_KEY || adminApiKey === DEFAULT_ADMIN_API_KEY)) {
+        throw new Error('Refusing to start in production with default API keys. Set ADMIN_API_KEY (and API_KEY, if used) to non-default values.');
+    }
+    
+    // Behind a reverse proxy, set TRUST_PROXY (e.g. to 1) so req.ip is the real client
+    let trustProxy = null;
+    if (env.TRUST_PROXY) {
+        trustProxy = isNaN(parseInt(env.TRUST_PROXY)) ? env.TRUST_PROXY : parseInt(env.TRUST_PROXY);
+    }
+    
+    return {
+        port: parseNumber(env, 'PORT', 3000),
+        mongodbUri: env.MONGODB_URI || 'mongodb://localhost:27017/select-start',
+        logLevel,
+        apiKey,
+        adminApiKey,
+        trustProxy,
+        
+        // Challenge months start and end at midnight in the community's time zone
+        communityTimeZone: env.COMMUNITY_TIME_ZONE || 'UTC',
+        
+        // Where challenge game details (title, console, icon, achievement count) come
+        // from: 'retroachievements' (needs RA_USERNAME and RA_API_KEY), 'fixture' (a
+        // local JSON file, for tests) or 'none'
+        gameInfo: {
+            provider: env.GAME_INFO_PROVIDER || (env.RA_API_KEY ? 'retroachievements' : 'none'),
+            username: env.RA_USERNAME,
+            apiKey: env.RA_API_KEY,
+            fixturePath: env.GAME_INFO_FIXTURE || join(__dirname, 'fixtures', 'games.json')
+        },
+        
+        cacheDir: env.CACHE_DIR || join(__dirname, 'cache'),
+        cacheTtlMs: parseSeconds(env, 'CACHE_TTL_SECONDS', 600),
+        cacheRefreshIntervalMs: parseSeconds(env, 'CACHE_REFRESH_INTERVAL_SECONDS', 300, { positive: true }),
+        
+        rateLimits: {
+            read: {
+                capacity: parseNumber(env, 'RATE_LIMIT_READ_CAPACITY', 60, { min: 1 }),
+                refillPerMinute: parseNumber(env, 'RATE_LIMIT_READ_REFILL_PER_MINUTE', 60, { min: 1 })
+            },
+            admin: {
+                capacity: parseNumber(env, 'RATE_LIMIT_ADMIN_CAPACITY', 10, { min: 1 }),
+                refillPerMinute: parseNumber(env, 'RATE_LIMIT_ADMIN_REFILL_PER_MINUTE', 10, { min: 1 })
+            }
+        },
+        
+        // Set MONTHLY_TIEBREAKERS to a comma-separated list to match the Discord bot
+        monthlyTiebreakers: parseList(env.MONTHLY_TIEBREAKERS || 'achievements,percentage,tierReachedAt'),
+        
+        // NOMINATION_ALLOWED_CONSOLES is a comma-separated list of console names;
+        // when empty any console may be nominated
+        nominationLimit: parseNumber(env, 'NOMINATION_LIMIT', 2),
+        nominationAllowedConsoles: parseList(env.NOMINATION_ALLOWED_CONSOLES),
+        
+        metricsToken: env.METRICS_TOKEN || null,
+        streamPollIntervalMs: parseSeconds(env, 'STREAM_POLL_INTERVAL_SECONDS', 10, { positive: true }),
+        
+        webhooks: {
+            maxAttempts: parseNumber(env, 'WEBHOOK_MAX_ATTEMPTS', 5, { min: 1 }),
+            retryBaseMs: parseSeconds(env, 'WEBHOOK_RETRY_BASE_SECONDS', 30),
+            timeoutMs: parseSeconds(env, 'WEBHOOK_TIMEOUT_SECONDS', 10, { positive: true }),
+            pollIntervalMs: parseSeconds(env, 'WEBHOOK_POLL_INTERVAL_SECONDS', 15, { positive: true })
+        },
+        
+        // Startup connection retries and shutdown
+        mongodbConnectAttempts: parseNumber(env, 'MONGODB_CONNECT_ATTEMPTS', 10, { min: 1 }),
+        mongodbRetryBaseMs: parseSeconds(env, 'MONGODB_RETRY_BASE_SECONDS', 1),
+        mongodbRetryMaxMs: parseSeconds(env, 'MONGODB_RETRY_MAX_SECONDS', 30),
+        shutdownTimeoutMs: parseSeconds(env, 'SHUTDOWN_TIMEOUT_SECONDS', 10, { positive: true })
+    };
+}
@@ -0,0 +1,27 @@
+// csv.js
+// CSV building for the export endpoints. Output follows RFC 4180 with CRLF line
+// endings, and is safe to open in a spreadsheet.
+
+// Escape one CSV field. Text that a spreadsheet would run as a formula is
+// prefixed with a quote so it is shown as-is.
+export function escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+// Build a CSV document from [header, getter] columns
+export function toCsv(columns, rows) {
+    const lines = [columns.map(([header]) => escapeCsvField(header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(([, getValue]) => escapeCsvField(getValue(row))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,73 @@
+// game-info.js
+// Game metadata providers. A provider has a name and a getGameInfo(gameId)
+// method that resolves to { gameId, title, consoleName, iconUrl, achievementCount }
+// for a RetroAchievements game id, or null when it doesn't know the game.
+
+import fs from 'fs';
+
+const RA_MEDIA_URL = 'https://media.retroachievements.org';
+
+// Looks games up through the RetroAchievements web API
+export function createRetroAchievementsProvider({ username, apiKey, baseUrl = 'https://retroachievements.org', timeoutMs = 10000 }) {
+    if (!username || !apiKey) {
+        throw new Error('The retroachievements game info provider needs RA_USERNAME and RA_API_KEY');
+    }
+    
+    return {
+        name: 'retroachievements',
+        async getGameInfo(gameId) {
+            const url = new URL('/API/API_GetGameExtended.php', baseUrl);
+            url.search = new URLSearchParams({ z: username, y: apiKey, i: String(gameId) }).toString();
+            
+            const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`RetroAchievements API responded with HTTP ${response.status}`);
+            }
+            
+            const game = await response.json();
+            if (!game || !game.Title) return null;
+            
+            return {
+                gameId: String(gameId),
+                title: game.Title,
+                consoleName: game.ConsoleName || null,
+                iconUrl: game.ImageIcon ? `${RA_MEDIA_URL}${game.ImageIcon}` : null,
+                achievementCount: Number.isInteger(game.NumAchievements) ? game.NumAchievements : null
+            };
+        }
+    };
+}
+
+// Serves games from an object keyed by game id, e.g. a JSON fixture file
+export function createFixtureProvider(games) {
+    return {
+        name: 'fixture',
+        async getGameInfo(gameId) {
+            const game = games[String(gameId)];
+            if (!game) return null;
+            
+            return {
+                gameId: String(gameId),
+                title: game.title,
+                consoleName: game.consoleName || null,
+                iconUrl: game.iconUrl || null,
+                achievementCount: Number.isInteger(game.achievementCount) ? game.achievementCount : null
+            };
+        }
+    };
+}
+
+// Create the provider named by GAME_INFO_PROVIDER. 'none' turns lookups off.
+export function createGameInfoProvider(name, options = {}) {
+    switch (name) {
+        case 'retroachievements':
+            return createRetroAchievementsProvider(options);
+        case 'fixture':
+            return createFixtureProvider(JSON.parse(fs.readFileSync(options.fixturePath, 'utf8')));
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown game info provider "${name}". Must be one of: retroachievements, fixture, none`);
+    }
+}
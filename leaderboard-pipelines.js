@@ -0,0 +1,193 @@
+// leaderboard-pipelines.js
+// MongoDB aggregation pipelines behind the leaderboard and nominations endpoints.
+// They do the filtering and per-user scoring in the database, so the API only
+// receives the few fields it needs for users who actually have points.
+
+// Users with progress in a challenge month, with their monthly (and, once the
+// shadow game is revealed, shadow) points worked out
+export function monthlyLeaderboardPipeline(monthKey, includeShadow) {
+    const hasProgress = [{ [`monthlyChallenges.${monthKey}`]: { $exists: true } }];
+    if (includeShadow) {
+        hasProgress.push({ [`shadowChallenges.${monthKey}`]: { $exists: true } });
+    }
+    
+    return [
+        { $match: { $or: hasProgress } },
+        {
+            $project: {
+                raUsername: 1,
+                discordId: 1,
+                privacy: 1,
+                monthly: { $ifNull: [`$monthlyChallenges.${monthKey}`, {}] },
+                shadow: includeShadow ? { $ifNull: [`$shadowChallenges.${monthKey}`, {}] } : { $literal: {} }
+            }
+        },
+        {
+            $addFields: {
+                monthlyPoints: { $ifNull: ['$monthly.progress', 0] },
+                shadowPoints: { $ifNull: ['$shadow.progress', 0] }
+            }
+        },
+        { $addFields: { totalPoints: { $add: ['$monthlyPoints', '$shadowPoints'] } } },
+        // Skip users with no points - no need to include them
+        { $match: { totalPoints: { $ne: 0 } } },
+        { $sort: { _id: 1 } }
+    ];
+}
+
+// Users with progress on a month's shadow game, with their shadow points
+export function shadowLeaderboardPipeline(monthKey) {
+    return [
+        { $match: { [`shadowChallenges.${monthKey}.progress`]: { $gt: 0 } } },
+        {
+            $project: {
+                raUsername: 1,
+                discordId: 1,
+                privacy: 1,
+                shadow: `$shadowChallenges.${monthKey}`
+            }
+        },
+        { $addFields: { shadowPoints: '$shadow.progress' } },
+        { $sort: { _id: 1 } }
+    ];
+}
+
+// How many users have progress on a month's shadow game, and how many beat it,
+// without saying who they are
+export function shadowProgressCountsPipeline(monthKey) {
+    const progress = `$shadowChallenges.${monthKey}.progress`;
+    return [
+        { $match: { [`shadowChallenges.${monthKey}.progress`]: { $gt: 0 } } },
+        {
+            $group: {
+                _id: null,
+                participants: { $sum: 1 },
+                beaten: { $sum: { $cond: [{ $gte: [progress, 2] }, 1, 0] } }
+            }
+        }
+    ];
+}
+
+// Every user's tier counts and points for a year, scored with the given point
+// system. Community awards count in the year they were granted in `timeZone`.
+export function yearlyLeaderboardPipeline(year, pointSystem, timeZone) {
+    // Challenge entries keyed by a date in the year
+    const entriesForYear = field => ({
+        $filter: {
+            input: { $objectToArray: { $ifNull: [`$${field}`, {}] } },
+            as: 'entry',
+            cond: { $eq: [{ $substrCP: ['$$entry.k', 0, 4] }, String(year)] }
+        }
+    });
+    
+    // How many entries have a progress value matching a condition
+    const progress = { $ifNull: ['$$entry.v.progress', 0] };
+    const countEntries = (input, cond) => ({
+        $size: { $filter: { input, as: 'entry', cond } }
+    });
+    
+    const awardsForYear = {
+        $filter: {
+            input: { $ifNull: ['$communityAwards', []] },
+            as: 'award',
+            cond: {
+                $and: [
+                    { $ne: [{ $ifNull: ['$$award.awardedAt', null] }, null] },
+                    { $eq: [{ $year: { date: '$$award.awardedAt', timezone: timeZone } }, year] }
+                ]
+            }
+        }
+    };
+    
+    return [
+        {
+            $project: {
+                raUsername: 1,
+                discordId: 1,
+                privacy: 1,
+                monthly: entriesForYear('monthlyChallenges'),
+                shadow: entriesForYear('shadowChallenges'),
+                communityPoints: {
+                    $sum: { $map: { input: awardsForYear, as: 'award', in: { $ifNull: ['$$award.points', 0] } } }
+                }
+            }
+        },
+        {
+            $project: {
+                raUsername: 1,
+                discordId: 1,
+                privacy: 1,
+                communityPoints: 1,
+                stats: {
+                    mastery: countEntries('$monthly', { $eq: [progress, 3] }),
+                    beaten: countEntries('$monthly', { $eq: [progress, 2] }),
+                    participation: countEntries('$monthly', { $eq: [progress, 1] }),
+                    // The shadow game has no mastery tier
+                    shadowBeaten: countEntries('$shadow', { $gte: [progress, 2] }),
+                    shadowParticipation: countEntries('$shadow', { $eq: [progress, 1] })
+                }
+            }
+        },
+        {
+            $addFields: {
+                yearlyPoints: {
+                    $add: [
+                        { $multiply: ['$stats.mastery', pointSystem.mastery] },
+                        { $multiply: ['$stats.beaten', pointSystem.beaten] },
+                        { $multiply: ['$stats.participation', pointSystem.participation] },
+                        { $multiply: ['$stats.shadowBeaten', pointSystem.shadowBeaten] },
+                        { $multiply: ['$stats.shadowParticipation', pointSystem.shadowParticipation] },
+                        '$communityPoints'
+                    ]
+                }
+            }
+        },
+        // Skip users with no points
+        { $match: { yearlyPoints: { $gt: 0 } } },
+        { $sort: { yearlyPoints: -1, _id: 1 } }
+    ];
+}
+
+// Users who nominated games between two instants, with only those nominations
+export function nominationsPipeline(startsAt, endsAt) {
+    return [
+        { $match: { nominations: { $elemMatch: { nominatedAt: { $gte: startsAt, $lt: endsAt } } } } },
+        {
+            $project: {
+                raUsername: 1,
+                privacy: 1,
+                nominations: {
+                    $filter: {
+                        input: '$nominations',
+                        as: 'nomination',
+                        cond: {
+                            $and: [
+                                { $gte: ['$$nomination.nominatedAt', startsAt] },
+                                { $lt: ['$$nomination.nominatedAt', endsAt] }
+                            ]
+                        }
+                    }
+                }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ];
+}
+
+// Every user's progress value for each month they have challenge progress in
+export function monthlyProgressPipeline() {
+    return [
+        {
+            $project: {
+                progress: {
+                    $map: {
+                        input: { $objectToArray: { $ifNull: ['$monthlyChallenges', {}] } },
+                        as: 'entry',
+                        in: { month: '$$entry.k', progress: { $ifNull: ['$$entry.v.progress', 0] } }
+                    }
+                }
+            }
+        },
+        { $match: { 'progress.0': { $exists: true } } }
+    ];
+}
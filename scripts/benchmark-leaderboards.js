@@ -0,0 +1,296 @@
+// scripts/benchmark-leaderboards.js
+// Seeds a scratch database with synthetic users and times the aggregation
+// pipelines against the loops they replaced, which loaded every user document.
+//
+// Usage: BENCHMARK_MONGODB_URI=mongodb://localhost:27017/select-start-benchmark npm run benchmark
+// Never point this at the real database - it drops the users collection when it
+// is done. It deliberately ignores the server's MONGODB_URI, and refuses to run
+// if the users collection already has documents.
+import mongoose from 'mongoose';
+import {
+    monthlyLeaderboardPipeline,
+    yearlyLeaderboardPipeline,
+    nominationsPipeline
+} from '../leaderboard-pipelines.js';
+
+const BENCHMARK_MONGODB_URI = process.env.BENCHMARK_MONGODB_URI || 'mongodb://localhost:27017/select-start-benchmark';
+const USER_COUNT = parseInt(process.env.BENCHMARK_USERS, 10) || 5000;
+const RUNS = parseInt(process.env.BENCHMARK_RUNS, 10) || 5;
+const YEAR = 2024;
+const MONTH_KEY = `${YEAR}-06-01`;
+const POINT_SYSTEM = { mastery: 3, beaten: 2, participation: 1, shadowBeaten: 2, shadowParticipation: 1 };
+
+// The fields of the API's user schema that the leaderboards read
+const userSchema = new mongoose.Schema({
+    raUsername: String,
+    discordId: String,
+    privacy: String,
+    monthlyChallenges: Map,
+    shadowChallenges: Map,
+    communityAwards: [{ title: String, points: Number, awardedAt: Date }],
+    nominations: [{ gameId: String, gameTitle: String, consoleName: String, nominatedAt: Date }]
+});
+
+// Same indexes as the API
+userSchema.index({ 'monthlyChallenges.$**': 1 });
+userSchema.index({ 'shadowChallenges.$**': 1 });
+userSchema.index({ 'nominations.nominatedAt': 1 });
+
+const User = mongoose.model('User', userSchema);
+
+// Helper function to build a synthetic user with a few years of history
+function makeUser(index) {
+    const monthlyChallenges = {};
+    const shadowChallenges = {};
+    for (let year = YEAR - 2; year <= YEAR; year++) {
+        for (let month = 1; month <= 12; month++) {
+            // Most members only play some months
+            if (Math.random() < 0.6) continue;
+            const key = `${year}-${String(month).padStart(2, '0')}-01`;
+            monthlyChallenges[key] = {
+                progress: Math.floor(Math.random() * 4),
+                achievements: Math.floor(Math.random() * 40),
+                completed: false
+            };
+            if (Math.random() < 0.3) {
+                shadowChallenges[key] = { progress: Math.floor(Math.random() * 3) };
+            }
+        }
+    }
+    
+    const nominations = [];
+    for (let i = 0; i < 20; i++) {
+        nominations.push({
+            gameId: String(1000 + Math.floor(Math.random() * 200)),
+            gameTitle: `Game ${i}`,
+            consoleName: 'SNES',
+            nominatedAt: new Date(Date.UTC(YEAR - 2 + Math.floor(Math.random() * 3), Math.floor(Math.random() * 12), 10))
+        });
+    }
+    
+    return {
+        raUsername: `user${index}`,
+        discordId: String(100000 + index),
+        privacy: 'public',
+        monthlyChallenges,
+        shadowChallenges,
+        communityAwards: Math.random() < 0.1
+            ? [{ title: 'Helper', points: 1, awardedAt: new Date(Date.UTC(YEAR, 3, 1)) }]
+            : [],
+        nominations
+    };
+}
+
+// The loop buildMonthlyLeaderboard ran before the pipelines, taken from
+// standalone-api.js in the commit that introduced them. Only the response
+// fields the comparison needs are kept, and the shadow game counts as revealed.
+async function legacyMonthly() {
+    const users = await User.find({});
+    const leaderboard = [];
+    
+    for (const user of users) {
+        try {
+            let monthlyPoints = 0;
+            
+            if (user.monthlyChallenges && user.monthlyChallenges instanceof Map && user.monthlyChallenges.has(MONTH_KEY)) {
+                const monthlyData = user.monthlyChallenges.get(MONTH_KEY) || {};
+                monthlyPoints = monthlyData.progress || 0;
+            }
+            
+            let shadowPoints = 0;
+            
+            if (user.shadowChallenges && 
+                user.shadowChallenges instanceof Map && 
+                user.shadowChallenges.has(MONTH_KEY)) {
+                const shadowData = user.shadowChallenges.get(MONTH_KEY) || {};
+                shadowPoints = shadowData.progress || 0;
+            }
+            
+            const totalPoints = monthlyPoints + shadowPoints;
+            
+            // Skip users with no points - no need to include them
+            if (totalPoints === 0) {
+                continue;
+            }
+            
+            leaderboard.push({ username: user.raUsername, totalPoints });
+        } catch (userError) {
+            console.error(`Error processing user ${user.raUsername}:`, userError);
+        }
+    }
+    return leaderboard;
+}
+
+async function pipelineMonthly() {
+    const users = await User.aggregate(monthlyLeaderboardPipeline(MONTH_KEY, true));
+    return users.map(user => ({ username: user.raUsername, totalPoints: user.totalPoints }));
+}
+
+// The loop the yearly route ran before the pipelines, taken from the same
+// commit. By then it already scored each tier with the year's point system
+// (user-006); the original baseline summed raw progress instead, so this is
+// not a comparison against that scoring. Community years are UTC here.
+async function legacyYearly() {
+    const users = await User.find({});
+    const leaderboard = [];
+    
+    for (const user of users) {
+        try {
+            let yearlyPoints = 0;
+            
+            // Process monthly challenges for this year
+            if (user.monthlyChallenges && user.monthlyChallenges instanceof Map) {
+                const entries = Array.from(user.monthlyChallenges.entries());
+                
+                for (const [key, value] of entries) {
+                    if (key.startsWith(YEAR.toString())) {
+                        const progress = value.progress || 0;
+                        
+                        if (progress === 3) {
+                            yearlyPoints += POINT_SYSTEM.mastery;
+                        } else if (progress === 2) {
+                            yearlyPoints += POINT_SYSTEM.beaten;
+                        } else if (progress === 1) {
+                            yearlyPoints += POINT_SYSTEM.participation;
+                        }
+                    }
+                }
+            }
+            
+            // Process shadow challenges for this year
+            if (user.shadowChallenges && user.shadowChallenges instanceof Map) {
+                const entries = Array.from(user.shadowChallenges.entries());
+                
+                for (const [key, value] of entries) {
+                    if (key.startsWith(YEAR.toString())) {
+                        const progress = value.progress || 0;
+                        
+                        // The shadow game has no mastery tier
+                        if (progress >= 2) {
+                            yearlyPoints += POINT_SYSTEM.shadowBeaten;
+                        } else if (progress === 1) {
+                            yearlyPoints += POINT_SYSTEM.shadowParticipation;
+                        }
+                    }
+                }
+            }
+            
+            // Add community awards from the current year
+            if (user.communityAwards && Array.isArray(user.communityAwards)) {
+                const communityPoints = user.communityAwards
+                    .filter(award => award.awardedAt && award.awardedAt.getUTCFullYear() === YEAR)
+                    .reduce((total, award) => total + (award.points || 0), 0);
+                
+                yearlyPoints += communityPoints;
+            }
+            
+            // Skip users with no points
+            if (yearlyPoints <= 0) continue;
+            
+            leaderboard.push({ username: user.raUsername, yearlyPoints });
+        } catch (userError) {
+            console.error(`Error processing yearly data for user ${user.raUsername}:`, userError);
+        }
+    }
+    return leaderboard;
+}
+
+async function pipelineYearly() {
+    const users = await User.aggregate(yearlyLeaderboardPipeline(YEAR, POINT_SYSTEM, 'UTC'));
+    return users.map(user => ({ username: user.raUsername, yearlyPoints: user.yearlyPoints }));
+}
+
+// The filter buildNominations ran before the pipelines, taken from the same
+// commit, with UTC month keys in place of the community time zone
+async function legacyNominations() {
+    const users = await User.find({});
+    const currentMonth = MONTH_KEY.slice(0, 7);
+    let count = 0;
+    
+    for (const user of users) {
+        const userNominations = (user.nominations || []).filter(nom => {
+            return nom.nominatedAt && new Date(nom.nominatedAt).toISOString().slice(0, 7) === currentMonth;
+        });
+        count += userNominations.length;
+    }
+    return count;
+}
+
+async function pipelineNominations() {
+    const users = await User.aggregate(
+        nominationsPipeline(new Date(Date.UTC(YEAR, 5, 1)), new Date(Date.UTC(YEAR, 6, 1)))
+    );
+    return users.reduce((count, user) => count + user.nominations.length, 0);
+}
+
+// Helper function to compare results regardless of row order
+function sameRows(a, b) {
+    const key = rows => JSON.stringify([...rows].sort((x, y) => x.username.localeCompare(y.username)));
+    return key(a) === key(b);
+}
+
+// Helper function to time a computation over several runs
+async function time(label, fn) {
+    const durations = [];
+    let result;
+    for (let i = 0; i < RUNS; i++) {
+        const started = process.hrtime.bigint();
+        result = await fn();
+        durations.push(Number(process.hrtime.bigint() - started) / 1e6);
+    }
+    durations.sort((a, b) => a - b);
+    console.log(`${label.padEnd(22)} median ${durations[Math.floor(RUNS / 2)].toFixed(1)} ms`);
+    return result;
+}
+
+async function main() {
+    await mongoose.connect(BENCHMARK_MONGODB_URI);
+    console.log(`Connected to ${BENCHMARK_MONGODB_URI}`);
+    
+    // Only ever work on an empty scratch collection
+    const existingUsers = await User.estimatedDocumentCount();
+    if (existingUsers > 0) {
+        console.error(`Refusing to run: the users collection already has ${existingUsers} documents. Point BENCHMARK_MONGODB_URI at an empty scratch database.`);
+        await mongoose.disconnect();
+        process.exitCode = 1;
+        return;
+    }
+    await User.syncIndexes();
+    
+    console.log(`Seeding ${USER_COUNT} users...`);
+    const batchSize = 500;
+    for (let i = 0; i < USER_COUNT; i += batchSize) {
+        const batch = [];
+        for (let j = i; j < Math.min(i + batchSize, USER_COUNT); j++) {
+            batch.push(makeUser(j));
+        }
+        await User.insertMany(batch);
+    }
+    
+    console.log(`Timing ${RUNS} runs of each computation\n`);
+    
+    const legacyMonthlyRows = await time('monthly (legacy)', legacyMonthly);
+    const pipelineMonthlyRows = await time('monthly (pipeline)', pipelineMonthly);
+    const legacyYearlyRows = await time('yearly (legacy)', legacyYearly);
+    const pipelineYearlyRows = await time('yearly (pipeline)', pipelineYearly);
+    const legacyNominationCount = await time('nominations (legacy)', legacyNominations);
+    const pipelineNominationCount = await time('nominations (pipeline)', pipelineNominations);
+    
+    const mismatches = [];
+    if (!sameRows(legacyMonthlyRows, pipelineMonthlyRows)) mismatches.push('monthly');
+    if (!sameRows(legacyYearlyRows, pipelineYearlyRows)) mismatches.push('yearly');
+    if (legacyNominationCount !== pipelineNominationCount) mismatches.push('nominations');
+    
+    console.log(mismatches.length
+        ? `\nResults differ for: ${mismatches.join(', ')}`
+        : '\nBoth approaches produced the same results');
+    
+    await User.collection.drop().catch(() => {});
+    await mongoose.disconnect();
+    process.exitCode = mismatches.length ? 1 : 0;
+}
+
+main().catch(err => {
+    console.error('Benchmark failed:', err);
+    process.exit(1);
+});
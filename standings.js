@@ -0,0 +1,80 @@
+// standings.js
+// Pure functions behind the live leaderboard stream and ballot results. They
+// only look at the data they are given, so they can be tested on their own.
+
+// Helper function to name the tier a progress value stands for
+function progressTierName(progress, isShadow = false) {
+    if (progress >= 3 && !isShadow) return 'mastery';
+    if (progress >= 2) return 'beaten';
+    if (progress === 1) return 'participation';
+    return null;
+}
+
+// Compare two monthly leaderboards and describe what changed, or return null
+// if nothing did
+export function diffLeaderboards(previous, current) {
+    const previousRows = new Map(previous.leaderboard.map(row => [row.username, row]));
+    const rankChanges = [];
+    const tiersReached = [];
+    const updated = [];
+    
+    for (const row of current.leaderboard) {
+        const before = previousRows.get(row.username);
+        previousRows.delete(row.username);
+        
+        if (before && JSON.stringify(before) === JSON.stringify(row)) continue;
+        updated.push(row);
+        
+        if (!before || before.rank !== row.rank) {
+            rankChanges.push({
+                username: row.username,
+                previousRank: before ? before.rank : null,
+                rank: row.rank
+            });
+        }
+        
+        if (row.monthlyPoints > (before ? before.monthlyPoints : 0)) {
+            tiersReached.push({
+                username: row.username,
+                game: 'monthly',
+                tier: progressTierName(row.monthlyPoints)
+            });
+        }
+        
+        if (row.shadowPoints > (before ? before.shadowPoints : 0)) {
+            tiersReached.push({
+                username: row.username,
+                game: 'shadow',
+                tier: progressTierName(row.shadowPoints, true)
+            });
+        }
+    }
+    
+    const removed = Array.from(previousRows.keys());
+    if (updated.length === 0 && removed.length === 0) return null;
+    
+    return {
+        month: current.challenge.month,
+        rankChanges,
+        tiersReached,
+        updated,
+        removed,
+        lastUpdated: current.lastUpdated
+    };
+}
+
+// Tally a ballot's votes, most votes first. Ties keep the ballot's game order,
+// which for top-N ballots is nomination count.
+export function tallyBallot(ballot) {
+    const tallies = ballot.games.map(game => ({
+        gameId: game.gameId,
+        gameTitle: game.gameTitle,
+        consoleName: game.consoleName,
+        votes: ballot.votes.filter(vote => vote.gameId === game.gameId).length
+    }));
+    
+    return tallies
+        .map((tally, index) => ({ tally, index }))
+        .sort((a, b) => b.tally.votes - a.tally.votes || a.index - b.index)
+        .map(({ tally }) => tally);
+}
@@ -0,0 +1,205 @@
+// test/cache.test.js
+// Cache files: what is written to the cache directory, reading it back on
+// startup, ETags and forced rebuilds
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { NO_DATABASE, startDatabase, startApp, makeCacheDir, createChallenge, createUser, monthStart, monthKey, monthParam } from './helpers.js';
+
+// Helper function to read a JSON file from a cache directory
+function readCacheFile(cacheDir, fileName) {
+    return JSON.parse(fs.readFileSync(join(cacheDir, fileName), 'utf8'));
+}
+
+const mongoServer = await startDatabase();
+
+describe('cache files', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('writes each section to its own file', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const lastMonth = monthStart(-1);
+            await createChallenge(testApp.models, monthStart());
+            await createChallenge(testApp.models, lastMonth);
+            await createUser(testApp.models, 'alice', {
+                monthly: { [monthKey(monthStart())]: { progress: 2 }, [monthKey(lastMonth)]: { progress: 3 } },
+                nominations: [{ gameId: '10', gameTitle: 'Game, "Ten"', consoleName: 'SNES', nominatedAt: new Date() }]
+            });
+            
+            const monthly = await testApp.request('/api/leaderboard/monthly', { admin: true });
+            const pastMonth = await testApp.request(`/api/leaderboard/monthly?month=${monthParam(lastMonth)}`, { admin: true });
+            const yearly = await testApp.request('/api/leaderboard/yearly', { admin: true });
+            const nominations = await testApp.request('/api/nominations', { admin: true });
+            
+            assert.deepEqual(readCacheFile(testApp.cacheDir, 'monthly-leaderboard.json'), monthly.body);
+            assert.deepEqual(readCacheFile(testApp.cacheDir, `monthly-leaderboard-${monthParam(lastMonth)}.json`), pastMonth.body);
+            assert.deepEqual(readCacheFile(testApp.cacheDir, 'yearly-leaderboard.json'), yearly.body);
+            assert.deepEqual(readCacheFile(testApp.cacheDir, 'nominations.json'), nominations.body);
+            
+            // Files keep Discord IDs; they are only removed for non-admin callers
+            assert.equal(monthly.body.leaderboard[0].discordId, 'discord-alice');
+            const publicMonthly = await testApp.request('/api/leaderboard/monthly');
+            assert.equal(publicMonthly.body.leaderboard[0].discordId, undefined);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('serves cache files left by a previous run until they expire', async () => {
+        const first = await startApp(mongoServer);
+        let second = null;
+        try {
+            await createChallenge(first.models, monthStart());
+            await createUser(first.models, 'alice', { monthly: { [monthKey(monthStart())]: { progress: 1 } } });
+            
+            const before = await first.request('/api/leaderboard/monthly');
+            await first.close({ keepData: true });
+            
+            // Change the data behind the cache, then start again on the same files
+            second = await startApp(mongoServer, { dbName: first.dbName, cacheDir: first.cacheDir });
+            await second.models.User.updateOne(
+                { raUsername: 'alice' },
+                { $set: { [`monthlyChallenges.${monthKey(monthStart())}.progress`]: 3 } }
+            );
+            
+            const cached = await second.request('/api/leaderboard/monthly');
+            assert.deepEqual(cached.body, before.body);
+            
+            const rebuild = await second.request('/api/admin/force-update', {
+                method: 'POST',
+                admin: true,
+                body: { target: 'leaderboards' }
+            });
+            assert.equal(rebuild.status, 200);
+            assert.deepEqual(Object.keys(rebuild.body.updated), ['monthly', 'yearly']);
+            
+            const rebuilt = await second.request('/api/leaderboard/monthly');
+            assert.equal(rebuilt.body.leaderboard[0].totalPoints, 3);
+            assert.equal(readCacheFile(second.cacheDir, 'monthly-leaderboard.json').leaderboard[0].totalPoints, 3);
+        } finally {
+            // The second app removes the data the first one left behind
+            await (second || first).close();
+        }
+    });
+    
+    it('applies privacy changes to past months without recomputing them', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const lastMonth = monthStart(-1);
+            const key = monthKey(lastMonth);
+            const path = `/api/leaderboard/monthly?month=${monthParam(lastMonth)}`;
+            await createChallenge(testApp.models, lastMonth);
+            await createUser(testApp.models, 'alice', { monthly: { [key]: { progress: 3 } } });
+            await createUser(testApp.models, 'bob', { monthly: { [key]: { progress: 1 } } });
+            
+            let { body } = await testApp.request(path);
+            assert.deepEqual(body.leaderboard.map(row => [row.username, row.totalPoints]), [['alice', 3], ['bob', 1]]);
+            const standingsFile = `monthly-standings-${monthParam(lastMonth)}.json`;
+            const standings = readCacheFile(testApp.cacheDir, standingsFile);
+            
+            // Progress changed after the month ended doesn't reach its final standings
+            await testApp.models.User.updateOne({ raUsername: 'bob' }, { $set: { [`monthlyChallenges.${key}.progress`]: 3 } });
+            
+            const hidden = await testApp.request('/api/admin/users/alice/privacy', { method: 'PUT', admin: true, body: { privacy: 'hidden' } });
+            assert.equal(hidden.status, 200);
+            ({ body } = await testApp.request(path));
+            assert.deepEqual(body.leaderboard.map(row => [row.username, row.totalPoints]), [['bob', 1]]);
+            
+            await testApp.request('/api/admin/users/alice/privacy', { method: 'PUT', admin: true, body: { privacy: 'public' } });
+            ({ body } = await testApp.request(path));
+            assert.deepEqual(body.leaderboard.map(row => [row.username, row.totalPoints]), [['alice', 3], ['bob', 1]]);
+            assert.deepEqual(readCacheFile(testApp.cacheDir, standingsFile), standings);
+            
+            // Deleting a user removes them from the stored standings too
+            const deleted = await testApp.request('/api/admin/users/alice', { method: 'DELETE', admin: true });
+            assert.equal(deleted.status, 200);
+            assert.deepEqual(readCacheFile(testApp.cacheDir, standingsFile).leaderboard.map(row => row.username), ['bob']);
+            ({ body } = await testApp.request(path));
+            assert.deepEqual(body.leaderboard.map(row => [row.username, row.rank]), [['bob', 2]]);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('rebuilds a cache file that is corrupt', async () => {
+        const cacheDir = makeCacheDir();
+        fs.writeFileSync(join(cacheDir, 'yearly-leaderboard.json'), '{ not json');
+        
+        const testApp = await startApp(mongoServer, { cacheDir });
+        try {
+            await createUser(testApp.models, 'alice', {
+                monthly: { [monthKey(monthStart())]: { progress: 2 } }
+            });
+            
+            const ready = await testApp.request('/api/ready');
+            assert.match(ready.body.caches.yearly.lastError.message, /yearly-leaderboard\.json/);
+            
+            const { status, body } = await testApp.request('/api/leaderboard/yearly');
+            assert.equal(status, 200);
+            assert.deepEqual(body.leaderboard.map(row => row.username), ['alice']);
+            assert.deepEqual(readCacheFile(cacheDir, 'yearly-leaderboard.json'), body);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('answers 304 when the client already has the current version', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            await createChallenge(testApp.models, monthStart());
+            
+            const first = await testApp.request('/api/leaderboard/monthly');
+            const etag = first.headers.get('etag');
+            assert.ok(etag);
+            
+            const second = await testApp.request('/api/leaderboard/monthly', { headers: { 'If-None-Match': etag } });
+            assert.equal(second.status, 304);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('only caches months, years and challenges that exist', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const lastMonth = monthStart(-1);
+            await createChallenge(testApp.models, lastMonth);
+            
+            assert.equal((await testApp.request(`/api/leaderboard/monthly?month=${monthParam(lastMonth)}`)).status, 200);
+            assert.equal((await testApp.request('/api/leaderboard/monthly?month=2001-01')).status, 404);
+            assert.equal((await testApp.request('/api/leaderboard/shadow?month=2001-01')).status, 404);
+            assert.equal((await testApp.request('/api/challenges/507f1f77bcf86cd799439011/achievements')).status, 404);
+            
+            const emptyYear = await testApp.request('/api/leaderboard/yearly?year=2001');
+            assert.equal(emptyYear.status, 404);
+            
+            assert.deepEqual(
+                fs.readdirSync(testApp.cacheDir).filter(fileName => fileName.includes('2001')),
+                []
+            );
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('rejects an unknown force-update target', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const { status, body } = await testApp.request('/api/admin/force-update', {
+                method: 'POST',
+                admin: true,
+                body: { target: 'everything' }
+            });
+            
+            assert.equal(status, 400);
+            assert.deepEqual(body.error.details, ['target must be one of: all, leaderboards, nominations']);
+        } finally {
+            await testApp.close();
+        }
+    });
+});
@@ -0,0 +1,69 @@
+// test/challenges.test.js
+// Challenge administration: game details filled in by the game info provider and
+// the achievement lists checked against them
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_DATABASE, startDatabase, startApp, monthStart } from './helpers.js';
+
+const mongoServer = await startDatabase();
+
+describe('challenges', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('fills in game details from the fixture provider without overwriting given ones', async () => {
+        const testApp = await startApp(mongoServer, { env: { GAME_INFO_PROVIDER: 'fixture' } });
+        try {
+            const created = await testApp.request('/api/admin/challenges', {
+                method: 'POST',
+                admin: true,
+                body: {
+                    date: monthStart().toISOString(),
+                    monthly_challange_gameid: '228',
+                    shadow_challange_gameid: '1',
+                    shadow_challange_game_total: 10
+                }
+            });
+            assert.equal(created.status, 201);
+            
+            const stored = await testApp.models.Challenge.findById(created.body.id);
+            assert.equal(stored.monthly_game_title, 'Super Mario World');
+            assert.equal(stored.monthly_game_console, 'SNES/Super Famicom');
+            assert.equal(stored.monthly_challange_game_total, 89);
+            assert.equal(stored.shadow_game_title, 'Sonic the Hedgehog');
+            assert.equal(stored.shadow_challange_game_total, 10);
+            
+            const { body } = await testApp.request('/api/leaderboard/monthly');
+            assert.equal(body.challenge.gameTitle, 'Super Mario World');
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('checks the achievement lists against a game total filled in by the provider', async () => {
+        const testApp = await startApp(mongoServer, { env: { GAME_INFO_PROVIDER: 'fixture' } });
+        try {
+            // Sonic the Hedgehog has 23 achievements in the fixtures
+            const ids = Array.from({ length: 24 }, (_, index) => String(index + 1));
+            const created = await testApp.request('/api/admin/challenges', {
+                method: 'POST',
+                admin: true,
+                body: {
+                    date: monthStart().toISOString(),
+                    monthly_challange_gameid: '1',
+                    monthly_challange_achievement_ids: ids
+                }
+            });
+            
+            assert.equal(created.status, 400);
+            assert.deepEqual(created.body.error.details, [
+                'monthly_challange_achievement_ids has more entries than monthly_challange_game_total'
+            ]);
+            assert.equal(await testApp.models.Challenge.countDocuments(), 0);
+        } finally {
+            await testApp.close();
+        }
+    });
+});
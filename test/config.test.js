@@ -0,0 +1,43 @@
+// test/config.test.js
+// Numeric settings: defaults when unset, explicit zeros, and invalid values
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../config.js';
+
+describe('config', () => {
+    it('uses the defaults when numeric settings are unset or blank', () => {
+        const config = loadConfig({ CACHE_TTL_SECONDS: '', NOMINATION_LIMIT: '  ' });
+        
+        assert.equal(config.port, 3000);
+        assert.equal(config.cacheTtlMs, 600000);
+        assert.equal(config.nominationLimit, 2);
+        assert.equal(config.webhooks.maxAttempts, 5);
+    });
+    
+    it('keeps an explicit 0 instead of falling back to the default', () => {
+        const config = loadConfig({
+            CACHE_TTL_SECONDS: '0',
+            NOMINATION_LIMIT: '0',
+            WEBHOOK_RETRY_BASE_SECONDS: '0'
+        });
+        
+        assert.equal(config.cacheTtlMs, 0);
+        assert.equal(config.nominationLimit, 0);
+        assert.equal(config.webhooks.retryBaseMs, 0);
+    });
+    
+    it('accepts fractional seconds', () => {
+        const config = loadConfig({ STREAM_POLL_INTERVAL_SECONDS: '0.5' });
+        
+        assert.equal(config.streamPollIntervalMs, 500);
+    });
+    
+    it('rejects values that are not numbers or are out of range', () => {
+        assert.throws(() => loadConfig({ CACHE_TTL_SECONDS: 'ten' }), /Invalid CACHE_TTL_SECONDS "ten"/);
+        assert.throws(() => loadConfig({ CACHE_TTL_SECONDS: '-1' }), /at least 0/);
+        assert.throws(() => loadConfig({ WEBHOOK_MAX_ATTEMPTS: '0' }), /Invalid WEBHOOK_MAX_ATTEMPTS "0"/);
+        assert.throws(() => loadConfig({ NOMINATION_LIMIT: '1.5' }), /Must be an integer/);
+        assert.throws(() => loadConfig({ WEBHOOK_POLL_INTERVAL_SECONDS: '0' }), /greater than 0/);
+    });
+});
@@ -0,0 +1,42 @@
+// test/csv.test.js
+// CSV export: quoting, escaping and spreadsheet formula protection
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeCsvField, toCsv } from '../csv.js';
+
+describe('csv', () => {
+    it('leaves plain values alone and writes missing ones as empty fields', () => {
+        assert.equal(escapeCsvField('alice'), 'alice');
+        assert.equal(escapeCsvField(42), '42');
+        assert.equal(escapeCsvField(-3), '-3');
+        assert.equal(escapeCsvField(null), '');
+        assert.equal(escapeCsvField(undefined), '');
+    });
+    
+    it('quotes fields with commas, quotes or line breaks', () => {
+        assert.equal(escapeCsvField('Zelda, The'), '"Zelda, The"');
+        assert.equal(escapeCsvField('The "Best" Game'), '"The ""Best"" Game"');
+        assert.equal(escapeCsvField('two\nlines'), '"two\nlines"');
+        assert.equal(escapeCsvField('two\r\nlines'), '"two\r\nlines"');
+    });
+    
+    it('stops spreadsheets from running text as a formula', () => {
+        assert.equal(escapeCsvField('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+        assert.equal(escapeCsvField('+1'), "'+1");
+        assert.equal(escapeCsvField('-1'), "'-1");
+        assert.equal(escapeCsvField('@SUM(A1)'), "'@SUM(A1)");
+        assert.equal(escapeCsvField('\tcell'), "'\tcell");
+    });
+    
+    it('builds a document with a header row and CRLF line endings', () => {
+        const columns = [
+            ['username', row => row.username],
+            ['points', row => row.points]
+        ];
+        const rows = [{ username: 'alice', points: 3 }, { username: 'bob, jr', points: null }];
+        
+        assert.equal(toCsv(columns, rows), 'username,points\r\nalice,3\r\n"bob, jr",\r\n');
+        assert.equal(toCsv(columns, []), 'username,points\r\n');
+    });
+});
@@ -0,0 +1,45 @@
+// test/game-info.test.js
+// Game info providers: the fixture provider used for development and tests
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureProvider, createGameInfoProvider } from '../game-info.js';
+
+describe('fixture game info provider', () => {
+    it('looks games up by id and fills in missing fields with null', async () => {
+        const provider = createFixtureProvider({
+            1000: { title: 'Game 1000', consoleName: 'SNES', iconUrl: 'https://example.com/1000.png', achievementCount: 20 },
+            1001: { title: 'Game 1001', achievementCount: 'many' }
+        });
+        
+        assert.equal(provider.name, 'fixture');
+        assert.deepEqual(await provider.getGameInfo(1000), {
+            gameId: '1000',
+            title: 'Game 1000',
+            consoleName: 'SNES',
+            iconUrl: 'https://example.com/1000.png',
+            achievementCount: 20
+        });
+        assert.deepEqual(await provider.getGameInfo('1001'), {
+            gameId: '1001',
+            title: 'Game 1001',
+            consoleName: null,
+            iconUrl: null,
+            achievementCount: null
+        });
+        assert.equal(await provider.getGameInfo('9999'), null);
+    });
+    
+    it('loads the bundled fixture file', async () => {
+        const provider = createGameInfoProvider('fixture', { fixturePath: new URL('../fixtures/games.json', import.meta.url) });
+        
+        const game = await provider.getGameInfo('1');
+        assert.equal(game.title, 'Sonic the Hedgehog');
+        assert.equal(game.consoleName, 'Genesis/Mega Drive');
+    });
+    
+    it('turns lookups off with none and rejects unknown providers', () => {
+        assert.equal(createGameInfoProvider('none'), null);
+        assert.throws(() => createGameInfoProvider('igdb'), /Unknown game info provider "igdb"/);
+    });
+});
@@ -0,0 +1,200 @@
+// test/helpers.js
+// Shared setup for the integration tests: an in-memory MongoDB server, and apps
+// created from a test config on their own database and a random port.
+//
+// mongodb-memory-server needs a mongod binary. It downloads one the first time
+// (when it is installed, or on the first run) and caches it, which needs network
+// access to fastdl.mongodb.org. To run the tests offline, set
+// MONGOMS_SYSTEM_BINARY to the path of a local mongod. Without either, the
+// tests are skipped with a message saying so.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { loadConfig } from '../config.js';
+import { createApp } from '../app.js';
+
+export const API_KEY = 'test-key';
+export const ADMIN_API_KEY = 'test-admin-key';
+
+// Why the tests are skipped when there is no mongod to run
+export const NO_DATABASE = 'no mongod binary available - set MONGOMS_SYSTEM_BINARY to a local mongod to run these tests offline';
+
+// Start an in-memory MongoDB server; stop it with server.stop(). Returns null
+// when no mongod binary could be found or downloaded, so the tests can be
+// skipped. A configured MONGOMS_SYSTEM_BINARY that fails to start is an error.
+export async function startDatabase() {
+    try {
+        return await MongoMemoryServer.create();
+    } catch (error) {
+        if (process.env.MONGOMS_SYSTEM_BINARY) {
+            throw error;
+        }
+        console.warn(`Skipping integration tests: ${NO_DATABASE} (${error.message})`);
+        return null;
+    }
+}
+
+// Make a temporary cache directory
+export function makeCacheDir() {
+    return fs.mkdtempSync(join(os.tmpdir(), 'select-start-cache-'));
+}
+
+// Create an app on a database of the given server and start listening on a
+// random port. Each app gets a fresh database and cache directory unless
+// dbName or cacheDir is given, e.g. to start a second app on the same data.
+// env holds extra environment variables for the config.
+export async function startApp(mongoServer, { env = {}, dbName = `test-${crypto.randomUUID()}`, cacheDir = makeCacheDir() } = {}) {
+    const connection = await mongoose.createConnection(mongoServer.getUri(), { dbName }).asPromise();
+    const config = loadConfig({
+        API_KEY,
+        ADMIN_API_KEY,
+        LOG_LEVEL: 'error',
+        CACHE_DIR: cacheDir,
+        GAME_INFO_PROVIDER: 'none',
+        RATE_LIMIT_READ_CAPACITY: '10000',
+        RATE_LIMIT_ADMIN_CAPACITY: '10000',
+        ...env
+    });
+    
+    const api = createApp(config, connection);
+    const server = await new Promise(resolve => {
+        const listening = api.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    let botKey = null;
+    
+    // Make a request with the public API key, the admin key or the bot's
+    // scoped key, returning the status, headers and body - parsed if it is JSON
+    async function request(path, { method = 'GET', body, admin = false, bot = false, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                'x-api-key': admin ? ADMIN_API_KEY : bot ? botKey : API_KEY,
+                ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: isJson ? JSON.parse(text) : text
+        };
+    }
+    
+    // Member actions need a scoped key, as the Discord bot would have
+    const created = await request('/api/admin/api-keys', {
+        method: 'POST',
+        admin: true,
+        body: { label: 'Test bot', scopes: ['nominations:write', 'votes:write'] }
+    });
+    botKey = created.body.key;
+    
+    return {
+        api,
+        connection,
+        dbName,
+        cacheDir,
+        models: connection.models,
+        request,
+        
+        // Open an event stream. Only the given headers are sent, so the key can
+        // be passed as ?apiKey= like an EventSource client would.
+        async stream(path, { headers = {} } = {}) {
+            const controller = new AbortController();
+            const response = await fetch(`${baseUrl}${path}`, { headers, signal: controller.signal });
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            
+            return {
+                status: response.status,
+                headers: response.headers,
+                
+                // Wait for the next named event, e.g. { event: 'snapshot', data }
+                async nextEvent() {
+                    while (true) {
+                        const end = buffer.indexOf('\n\n');
+                        if (end === -1) {
+                            const { value, done } = await reader.read();
+                            if (done) throw new Error('Stream ended');
+                            buffer += decoder.decode(value, { stream: true });
+                            continue;
+                        }
+                        
+                        const lines = buffer.substring(0, end).split('\n');
+                        buffer = buffer.substring(end + 2);
+                        const event = lines.find(line => line.startsWith('event: '));
+                        const data = lines.find(line => line.startsWith('data: '));
+                        if (event) {
+                            return { event: event.substring(7), data: JSON.parse(data.substring(6)) };
+                        }
+                    }
+                },
+                
+                close() {
+                    controller.abort();
+                }
+            };
+        },
+        
+        // Stop the app and close its connection. The database and cache
+        // directory are removed unless keepData is set.
+        async close({ keepData = false } = {}) {
+            api.stop();
+            await new Promise(resolve => server.close(resolve));
+            if (!keepData) {
+                await connection.dropDatabase();
+                fs.rmSync(cacheDir, { recursive: true, force: true });
+            }
+            await connection.close();
+        }
+    };
+}
+
+// Helper function to get the start of the month `offset` months from the
+// current one, in UTC
+export function monthStart(offset = 0) {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1));
+}
+
+// Helper function to format a month start as a progress key, e.g. "2025-03-01"
+export function monthKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Helper function to format a month start as a ?month= value, e.g. "2025-03"
+export function monthParam(date) {
+    return date.toISOString().substring(0, 7);
+}
+
+// Create a challenge for the month starting at `date`
+export function createChallenge(models, date, fields = {}) {
+    return models.Challenge.create({
+        date,
+        monthly_challange_gameid: '1000',
+        monthly_challange_game_total: 20,
+        monthly_challange_achievement_ids: [],
+        shadow_challange_revealed: false,
+        ...fields
+    });
+}
+
+// Create a user with challenge progress given as { [monthKey]: progressEntry }
+export function createUser(models, raUsername, { monthly = {}, shadow = {}, ...fields } = {}) {
+    return models.User.create({
+        raUsername,
+        discordId: `discord-${raUsername}`,
+        monthlyChallenges: new Map(Object.entries(monthly)),
+        shadowChallenges: new Map(Object.entries(shadow)),
+        ...fields
+    });
+}
@@ -0,0 +1,60 @@
+// test/metrics.test.js
+// Prometheus metrics: request and cache counters, and the optional bearer token
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_DATABASE, startDatabase, startApp, createChallenge, monthStart } from './helpers.js';
+
+const mongoServer = await startDatabase();
+
+// Helper function to read one series' value from a metrics document, or null
+function metricValue(text, series) {
+    const line = text.split('\n').find(line => line.startsWith(`${series} `));
+    return line ? Number(line.substring(series.length + 1)) : null;
+}
+
+describe('metrics', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('counts requests by route pattern and cache lookups by result', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            await createChallenge(testApp.models, monthStart());
+            
+            await testApp.request('/api/leaderboard/monthly');
+            await testApp.request('/api/leaderboard/monthly');
+            await testApp.request('/api/users/nobody');
+            
+            const { status, headers, body } = await testApp.request('/metrics');
+            
+            assert.equal(status, 200);
+            assert.match(headers.get('content-type'), /^text\/plain/);
+            assert.match(body, /^# TYPE http_requests_total counter$/m);
+            assert.equal(metricValue(body, 'http_requests_total{method="GET",route="/api/leaderboard/monthly",status="200"}'), 2);
+            assert.equal(metricValue(body, 'http_requests_total{method="GET",route="/api/users/:raUsername",status="404"}'), 1);
+            assert.equal(metricValue(body, 'http_request_duration_seconds_count{method="GET",route="/api/leaderboard/monthly"}'), 2);
+            assert.equal(metricValue(body, 'cache_requests_total{cache="monthly-leaderboard",result="miss"}'), 1);
+            assert.equal(metricValue(body, 'cache_requests_total{cache="monthly-leaderboard",result="hit"}'), 1);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('requires the bearer token when one is configured', async () => {
+        const testApp = await startApp(mongoServer, { env: { METRICS_TOKEN: 'scrape-token' } });
+        try {
+            const missing = await testApp.request('/metrics');
+            assert.equal(missing.status, 401);
+            
+            const wrong = await testApp.request('/metrics', { headers: { Authorization: 'Bearer wrong-token' } });
+            assert.equal(wrong.status, 401);
+            
+            const allowed = await testApp.request('/metrics', { headers: { Authorization: 'Bearer scrape-token' } });
+            assert.equal(allowed.status, 200);
+        } finally {
+            await testApp.close();
+        }
+    });
+});
@@ -0,0 +1,310 @@
+// test/monthly-leaderboard.test.js
+// Monthly and shadow leaderboards: ranking, tie-breakers, the shadow reveal,
+// paging and CSV export
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_DATABASE, startDatabase, startApp, createChallenge, createUser, monthStart, monthKey, monthParam } from './helpers.js';
+
+const mongoServer = await startDatabase();
+
+describe('monthly leaderboard', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('ranks by points, breaks ties by achievements and shares ranks for full ties', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const key = monthKey(monthStart());
+            await createChallenge(testApp.models, monthStart());
+            await createUser(testApp.models, 'alice', { monthly: { [key]: { progress: 2, achievements: 10, percentage: 50 } } });
+            await createUser(testApp.models, 'bob', { monthly: { [key]: { progress: 2, achievements: 10, percentage: 50 } } });
+            await createUser(testApp.models, 'carol', { monthly: { [key]: { progress: 2, achievements: 12, percentage: 60 } } });
+            await createUser(testApp.models, 'dave', { monthly: { [key]: { progress: 3, achievements: 20, percentage: 100 } } });
+            await createUser(testApp.models, 'erin', { monthly: { [key]: { progress: 0, achievements: 0 } } });
+            
+            const { status, body } = await testApp.request('/api/leaderboard/monthly');
+            
+            assert.equal(status, 200);
+            assert.deepEqual(
+                body.leaderboard.map(row => [row.username, row.rank, row.totalPoints]),
+                [['dave', 1, 3], ['carol', 2, 2], ['alice', 3, 2], ['bob', 3, 2]]
+            );
+            assert.deepEqual(body.ranking.tiebreakers, ['achievements', 'percentage', 'tierReachedAt']);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('uses the configured tie-breakers', async () => {
+        const testApp = await startApp(mongoServer, { env: { MONTHLY_TIEBREAKERS: 'tierReachedAt' } });
+        try {
+            const key = monthKey(monthStart());
+            const reachedAt = new Date();
+            await createChallenge(testApp.models, monthStart());
+            await createUser(testApp.models, 'early', {
+                monthly: { [key]: { progress: 2, achievements: 5, tierReachedAt: new Date(reachedAt.getTime() - 60000) } }
+            });
+            await createUser(testApp.models, 'late', {
+                monthly: { [key]: { progress: 2, achievements: 15, tierReachedAt: reachedAt } }
+            });
+            
+            const { body } = await testApp.request('/api/leaderboard/monthly');
+            
+            assert.deepEqual(body.leaderboard.map(row => [row.username, row.rank]), [['early', 1], ['late', 2]]);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('only counts shadow progress once the shadow game is revealed', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const key = monthKey(monthStart());
+            const challenge = await createChallenge(testApp.models, monthStart(), { shadow_challange_gameid: '2000' });
+            await createUser(testApp.models, 'alice', {
+                monthly: { [key]: { progress: 1, achievements: 3 } },
+                shadow: { [key]: { progress: 2, achievements: 8 } }
+            });
+            await createUser(testApp.models, 'bob', {
+                shadow: { [key]: { progress: 1, achievements: 2 } }
+            });
+            
+            let monthly = await testApp.request('/api/leaderboard/monthly');
+            assert.deepEqual(monthly.body.leaderboard.map(row => [row.username, row.totalPoints]), [['alice', 1]]);
+            assert.equal(monthly.body.challenge.shadowGame, null);
+            
+            let shadow = await testApp.request('/api/leaderboard/shadow');
+            assert.equal(shadow.status, 200);
+            assert.deepEqual(shadow.body.leaderboard, []);
+            assert.deepEqual(shadow.body.progress, { participants: 2, beaten: 1 });
+            assert.equal(shadow.body.challenge.shadow, null);
+            
+            const reveal = await testApp.request(`/api/admin/challenges/${challenge._id}/shadow-reveal`, {
+                method: 'POST',
+                admin: true,
+                body: { revealed: true }
+            });
+            assert.equal(reveal.status, 200);
+            
+            monthly = await testApp.request('/api/leaderboard/monthly');
+            assert.deepEqual(
+                monthly.body.leaderboard.map(row => [row.username, row.monthlyPoints, row.shadowPoints, row.totalPoints, row.rank]),
+                [['alice', 1, 2, 3, 1], ['bob', 0, 1, 1, 2]]
+            );
+            assert.equal(monthly.body.challenge.shadowGame, '2000');
+            
+            shadow = await testApp.request('/api/leaderboard/shadow');
+            assert.deepEqual(
+                shadow.body.leaderboard.map(row => [row.username, row.tier, row.rank]),
+                [['alice', 'beaten', 1], ['bob', 'participation', 2]]
+            );
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('pages, searches and projects rows while keeping their full-board rank', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const key = monthKey(monthStart());
+            await createChallenge(testApp.models, monthStart());
+            for (const [name, achievements] of [['alice', 20], ['bob', 15], ['carol', 10], ['dave', 5], ['erin', 1]]) {
+                await createUser(testApp.models, name, { monthly: { [key]: { progress: 1, achievements } } });
+            }
+            
+            let { body } = await testApp.request('/api/leaderboard/monthly?limit=2&offset=1');
+            assert.deepEqual(body.leaderboard.map(row => [row.username, row.rank]), [['bob', 2], ['carol', 3]]);
+            assert.deepEqual(body.pagination, { offset: 1, limit: 2, total: 5, nextOffset: 3 });
+            
+            ({ body } = await testApp.request('/api/leaderboard/monthly?offset=4&limit=2'));
+            assert.deepEqual(body.leaderboard.map(row => row.username), ['erin']);
+            assert.equal(body.pagination.nextOffset, null);
+            
+            ({ body } = await testApp.request('/api/leaderboard/monthly?user=DAVE&fields=username,rank,achievements'));
+            assert.deepEqual(body.leaderboard, [{ username: 'dave', rank: 4, achievements: 5 }]);
+            assert.equal(body.pagination.total, 1);
+            
+            const badField = await testApp.request('/api/leaderboard/monthly?fields=username,password');
+            assert.equal(badField.status, 400);
+            
+            const badLimit = await testApp.request('/api/leaderboard/monthly?limit=0');
+            assert.equal(badLimit.status, 400);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('exports the leaderboard as CSV', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const key = monthKey(monthStart());
+            await createChallenge(testApp.models, monthStart());
+            await createUser(testApp.models, 'alice', { monthly: { [key]: { progress: 3, achievements: 20, totalAchievements: 20, percentage: 100 } } });
+            await createUser(testApp.models, 'bob', { monthly: { [key]: { progress: 1, achievements: 2, totalAchievements: 20, percentage: 10 } } });
+            
+            let { status, headers, body } = await testApp.request('/api/leaderboard/monthly?format=csv');
+            assert.equal(status, 200);
+            assert.match(headers.get('content-type'), /^text\/csv/);
+            assert.match(headers.get('content-disposition'), new RegExp(`attachment; filename="monthly-leaderboard-${monthParam(monthStart())}\\.csv"`));
+            
+            const lines = body.split('\r\n');
+            assert.equal(lines[0], 'rank,username,monthlyPoints,shadowPoints,totalPoints,achievements,totalAchievements,percentage,tierReachedAt');
+            assert.deepEqual(
+                lines.slice(1).map(line => line.split(',').slice(0, 6)),
+                [['1', 'alice', '3', '0', '3', '20'], ['2', 'bob', '1', '0', '1', '2'], ['']]
+            );
+            
+            // Search applies to the export, but ?fields= doesn't change its columns
+            ({ body } = await testApp.request('/api/leaderboard/monthly?format=csv&user=bob&fields=username'));
+            assert.deepEqual(body.split('\r\n').slice(1).map(line => line.split(',').slice(0, 2)), [['2', 'bob'], ['']]);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('queues tier reached events once per user and tier, whatever their privacy', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const key = monthKey(monthStart());
+            const month = monthParam(monthStart());
+            await createChallenge(testApp.models, monthStart());
+            const alice = await createUser(testApp.models, 'alice', { monthly: { [key]: { progress: 2 } } });
+            const carol = await createUser(testApp.models, 'carol', { monthly: { [key]: { progress: 3 } }, privacy: 'hidden' });
+            await createUser(testApp.models, 'bob', { monthly: { [key]: { progress: 1 } } });
+            
+            // Events are queued without holding up the build
+            const waitForEvents = async (count) => {
+                let events = [];
+                for (let i = 0; i < 50 && events.length < count; i++) {
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    events = await testApp.models.WebhookEvent.find({ event: 'challenge.tier_reached' }).sort({ key: 1 }).lean();
+                }
+                return events;
+            };
+            
+            // A fresh start, so the route builds the board with nothing to compare to
+            const { status } = await testApp.request('/api/leaderboard/monthly');
+            assert.equal(status, 200);
+            
+            let events = await waitForEvents(2);
+            assert.deepEqual(events.map(event => event.key).sort(), [
+                `challenge.tier_reached:${month}:${alice._id}:beaten`,
+                `challenge.tier_reached:${month}:${carol._id}:mastery`
+            ].sort());
+            const carolEvent = events.find(event => event.data.tier === 'mastery');
+            assert.equal(carolEvent.data.username, null);
+            assert.equal(carolEvent.data.privacy, 'hidden');
+            
+            // Becoming public rebuilds the board but announces nobody again
+            const privacy = await testApp.request('/api/admin/users/carol/privacy', {
+                method: 'PUT',
+                admin: true,
+                body: { privacy: 'public' }
+            });
+            assert.equal(privacy.status, 200);
+            await testApp.request('/api/leaderboard/monthly');
+            
+            events = await waitForEvents(3);
+            assert.equal(events.length, 2);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('only counts participants in the achievement breakdown', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const key = monthKey(monthStart());
+            const challenge = await createChallenge(testApp.models, monthStart(), { monthly_challange_achievement_ids: ['1', '2'] });
+            await createUser(testApp.models, 'alice', { monthly: { [key]: { progress: 1 } }, announcedAchievements: ['1000:1'] });
+            // No progress, or only shadow progress, isn't participation
+            await createUser(testApp.models, 'bob', { monthly: { [key]: { progress: 0 } }, announcedAchievements: ['1000:1', '1000:2'] });
+            await createUser(testApp.models, 'carol', { shadow: { [key]: { progress: 1 } }, announcedAchievements: ['1000:1'] });
+            
+            const { status, body } = await testApp.request(`/api/challenges/${challenge._id}/achievements`);
+            
+            assert.equal(status, 200);
+            assert.equal(body.participants, 1);
+            assert.deepEqual(
+                body.achievements.map(achievement => [achievement.id, achievement.earnedBy, achievement.earnedPercentage]),
+                [['1', 1, 100], ['2', 0, 0]]
+            );
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('rejects a malformed challenge id', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const breakdown = await testApp.request('/api/challenges/not-an-id/achievements');
+            const reveal = await testApp.request('/api/admin/challenges/not-an-id/shadow-reveal', {
+                method: 'POST',
+                admin: true,
+                body: { revealed: true }
+            });
+            
+            for (const { status, body } of [breakdown, reveal]) {
+                assert.equal(status, 400);
+                assert.deepEqual(body.error.details, ['id must be a valid id']);
+            }
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('serves a past month as final standings', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const lastMonth = monthStart(-1);
+            await createChallenge(testApp.models, lastMonth);
+            await createUser(testApp.models, 'alice', { monthly: { [monthKey(lastMonth)]: { progress: 3, achievements: 20 } } });
+            
+            const { status, body } = await testApp.request(`/api/leaderboard/monthly?month=${monthParam(lastMonth)}`);
+            
+            assert.equal(status, 200);
+            assert.equal(body.final, true);
+            assert.deepEqual(body.leaderboard.map(row => row.username), ['alice']);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('rejects a month that has not started without touching the current board', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            await createChallenge(testApp.models, monthStart());
+            await createChallenge(testApp.models, monthStart(1), { monthly_challange_gameid: '3000' });
+            await createUser(testApp.models, 'alice', { monthly: { [monthKey(monthStart())]: { progress: 1 } } });
+            
+            for (const path of ['/api/leaderboard/monthly', '/api/leaderboard/shadow']) {
+                const { status, body } = await testApp.request(`${path}?month=${monthParam(monthStart(1))}`);
+                assert.equal(status, 400);
+                assert.deepEqual(body.error.details, ['month must be a month that has already started']);
+            }
+            
+            const { status, body } = await testApp.request('/api/leaderboard/monthly');
+            assert.equal(status, 200);
+            assert.equal(body.challenge.month, monthParam(monthStart()));
+            assert.deepEqual(body.leaderboard.map(row => row.username), ['alice']);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('rejects an invalid month with the error envelope', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const { status, body } = await testApp.request('/api/leaderboard/monthly?month=2024-13');
+            
+            assert.equal(status, 400);
+            assert.equal(body.error.code, 'invalid_request');
+            assert.deepEqual(body.error.details, ['month must be a month in YYYY-MM format']);
+            assert.ok(body.error.requestId);
+        } finally {
+            await testApp.close();
+        }
+    });
+});
@@ -0,0 +1,301 @@
+// test/nominations.test.js
+// Nominations: per-user deduplication in the listing, CSV export, the submission
+// rules and ballots
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_DATABASE, startDatabase, startApp, createChallenge, createUser, monthStart } from './helpers.js';
+
+const mongoServer = await startDatabase();
+
+describe('nominations', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('counts each user once per game and leaves out other months', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const now = new Date();
+            const lastMonth = new Date(monthStart(-1).getTime() + 24 * 60 * 60 * 1000);
+            const nomination = (gameId, nominatedAt = now) => ({
+                gameId,
+                gameTitle: `Game ${gameId}`,
+                consoleName: 'SNES',
+                nominatedAt
+            });
+            
+            await createUser(testApp.models, 'alice', {
+                nominations: [nomination('1'), nomination('1'), nomination('2')]
+            });
+            await createUser(testApp.models, 'bob', {
+                nominations: [nomination('1'), nomination('3', lastMonth)]
+            });
+            
+            const { status, body } = await testApp.request('/api/nominations');
+            
+            assert.equal(status, 200);
+            assert.deepEqual(
+                body.gamesList.map(game => [game.gameId, game.count, game.nominatedBy]),
+                [['1', 2, ['alice', 'bob']], ['2', 1, ['alice']]]
+            );
+            assert.equal(body.nominations.length, 3);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('exports nominations as CSV with titles quoted and formulas defused', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const nominatedAt = new Date();
+            await createUser(testApp.models, 'alice', {
+                nominations: [
+                    { gameId: '1', gameTitle: 'Zelda, "The" Legend', consoleName: 'SNES', nominatedAt },
+                    { gameId: '2', gameTitle: '=HYPERLINK("http://example.com")', consoleName: 'SNES', nominatedAt }
+                ]
+            });
+            await createUser(testApp.models, 'bob', {
+                nominations: [{ gameId: '1', gameTitle: 'Zelda, "The" Legend', consoleName: 'SNES', nominatedAt }]
+            });
+            
+            const { status, headers, body } = await testApp.request('/api/nominations?format=csv');
+            
+            assert.equal(status, 200);
+            assert.match(headers.get('content-type'), /^text\/csv/);
+            assert.equal(body, [
+                'gameId,gameTitle,consoleName,count,nominatedBy',
+                '1,"Zelda, ""The"" Legend",SNES,2,alice; bob',
+                '2,"\'=HYPERLINK(""http://example.com"")",SNES,1,alice',
+                ''
+            ].join('\r\n'));
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('enforces the monthly limit and rejects duplicate and previously won games', async () => {
+        const testApp = await startApp(mongoServer, { env: { NOMINATION_LIMIT: '2' } });
+        try {
+            await createUser(testApp.models, 'alice');
+            await createChallenge(testApp.models, monthStart(-2), { monthly_challange_gameid: '999' });
+            
+            const nominate = gameId => testApp.request('/api/nominations', {
+                method: 'POST',
+                bot: true,
+                body: { raUsername: 'alice', gameId, gameTitle: `Game ${gameId}`, consoleName: 'SNES' }
+            });
+            
+            let response = await nominate('10');
+            assert.equal(response.status, 201);
+            assert.equal(response.body.remaining, 1);
+            
+            response = await nominate('10');
+            assert.equal(response.status, 409);
+            assert.equal(response.body.error.code, 'conflict');
+            
+            response = await nominate('999');
+            assert.equal(response.status, 409);
+            
+            response = await nominate('11');
+            assert.equal(response.status, 201);
+            assert.equal(response.body.remaining, 0);
+            
+            response = await nominate('12');
+            assert.equal(response.status, 409);
+            
+            const { body } = await testApp.request('/api/nominations');
+            assert.deepEqual(body.gamesList.map(game => game.gameId).sort(), ['10', '11']);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('only allows the configured consoles', async () => {
+        const testApp = await startApp(mongoServer, { env: { NOMINATION_ALLOWED_CONSOLES: 'SNES, Genesis' } });
+        try {
+            await createUser(testApp.models, 'alice');
+            
+            const rejected = await testApp.request('/api/nominations', {
+                method: 'POST',
+                bot: true,
+                body: { raUsername: 'alice', gameId: '10', consoleName: 'PlayStation' }
+            });
+            assert.equal(rejected.status, 400);
+            
+            const accepted = await testApp.request('/api/nominations', {
+                method: 'POST',
+                bot: true,
+                body: { raUsername: 'alice', gameId: '10', consoleName: 'genesis' }
+            });
+            assert.equal(accepted.status, 201);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('withdraws a nomination', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            await createUser(testApp.models, 'alice', {
+                nominations: [{ gameId: '10', gameTitle: 'Game 10', consoleName: 'SNES', nominatedAt: new Date() }]
+            });
+            
+            const withdrawn = await testApp.request('/api/nominations/10?raUsername=alice', { method: 'DELETE', bot: true });
+            assert.equal(withdrawn.status, 200);
+            
+            const missing = await testApp.request('/api/nominations/10?raUsername=alice', { method: 'DELETE', bot: true });
+            assert.equal(missing.status, 404);
+            
+            const { body } = await testApp.request('/api/nominations');
+            assert.deepEqual(body.gamesList, []);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('only takes nominations and votes from a scoped bot key', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            await createUser(testApp.models, 'alice', {
+                nominations: [{ gameId: '10', gameTitle: 'Game 10', consoleName: 'SNES', nominatedAt: new Date() }]
+            });
+            
+            // The public key is embedded in the site, so it can't act for members
+            const submitted = await testApp.request('/api/nominations', {
+                method: 'POST',
+                body: { raUsername: 'alice', gameId: '11', consoleName: 'SNES' }
+            });
+            assert.equal(submitted.status, 403);
+            
+            const withdrawn = await testApp.request('/api/nominations/10?raUsername=alice', { method: 'DELETE' });
+            assert.equal(withdrawn.status, 403);
+            
+            const vote = await testApp.request('/api/votes', {
+                method: 'POST',
+                body: { raUsername: 'alice', gameId: '10' }
+            });
+            assert.equal(vote.status, 403);
+            
+            const { body } = await testApp.request('/api/nominations');
+            assert.deepEqual(body.gamesList.map(game => game.gameId), ['10']);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('opens a ballot from the top nominations, takes one vote per member and breaks ties by nomination count', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const nomination = gameId => ({ gameId, gameTitle: `Game ${gameId}`, consoleName: 'SNES', nominatedAt: new Date() });
+            await createUser(testApp.models, 'alice', { discordId: '1001', nominations: [nomination('10'), nomination('11')] });
+            await createUser(testApp.models, 'bob', { discordId: '1002', nominations: [nomination('11'), nomination('12')] });
+            await createUser(testApp.models, 'carol', { nominations: [nomination('11'), nomination('10')] });
+            
+            const opened = await testApp.request('/api/admin/ballots', {
+                method: 'POST',
+                admin: true,
+                body: { count: 2, closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+            });
+            assert.equal(opened.status, 201);
+            assert.equal(opened.body.isOpen, true);
+            assert.deepEqual(opened.body.results.map(game => game.gameId), ['11', '10']);
+            
+            const again = await testApp.request('/api/admin/ballots', {
+                method: 'POST',
+                admin: true,
+                body: { closesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+            });
+            assert.equal(again.status, 409);
+            
+            const vote = body => testApp.request('/api/votes', { method: 'POST', bot: true, body });
+            
+            assert.equal((await vote({ raUsername: 'alice', gameId: '10' })).status, 201);
+            assert.equal((await vote({ discordId: '1002', gameId: '11' })).status, 201);
+            assert.equal((await vote({ raUsername: 'carol', gameId: '12' })).status, 400);
+            assert.equal((await vote({ raUsername: 'dave', gameId: '10' })).status, 404);
+            
+            // Alice already voted by username, so her Discord account can't vote again
+            const repeat = await vote({ discordId: '1001', gameId: '11' });
+            assert.equal(repeat.status, 409);
+            
+            // Tied on one vote each, so the game with more nominations comes first
+            let results = await testApp.request('/api/votes/results');
+            assert.equal(results.body.totalVotes, 2);
+            assert.deepEqual(results.body.results.map(game => [game.gameId, game.votes]), [['11', 1], ['10', 1]]);
+            assert.equal(results.body.winner, null);
+            
+            const closed = await testApp.request(`/api/admin/ballots/${results.body.month}/close`, { method: 'POST', admin: true });
+            assert.equal(closed.status, 200);
+            assert.equal(closed.body.isOpen, false);
+            assert.deepEqual([closed.body.winner.gameId, closed.body.winner.votes], ['11', 1]);
+            
+            assert.equal((await vote({ raUsername: 'carol', gameId: '10' })).status, 404);
+            
+            const winners = await testApp.request('/api/votes/winners');
+            assert.deepEqual(
+                winners.body.winners.map(winner => [winner.month, winner.gameId, winner.votes, winner.totalVotes]),
+                [[results.body.month, '11', 1, 2]]
+            );
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('decides closed ballots on the scheduled rebuild, without a winner if nobody voted', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const game = gameId => ({ gameId, gameTitle: `Game ${gameId}`, consoleName: 'SNES', nominationCount: 1 });
+            const closed = {
+                selection: 'top',
+                games: [game('10'), game('11')],
+                opensAt: new Date(Date.now() - 2000),
+                closesAt: new Date(Date.now() - 1000)
+            };
+            await testApp.models.Ballot.create({
+                ...closed,
+                month: '2024-01',
+                votes: [{ gameId: '11', raUsername: 'alice', votedAt: new Date() }]
+            });
+            await testApp.models.Ballot.create({ ...closed, month: '2024-02', votes: [] });
+            
+            // Reading the results doesn't decide anything
+            let results = await testApp.request('/api/votes/results?month=2024-01');
+            assert.equal(results.body.winner, null);
+            assert.equal(results.body.decidedAt, null);
+            let winners = await testApp.request('/api/votes/winners');
+            assert.deepEqual(winners.body.winners, []);
+            
+            await testApp.api.rebuildAllCaches();
+            
+            results = await testApp.request('/api/votes/results?month=2024-01');
+            assert.equal(results.body.winner.gameId, '11');
+            assert.equal(results.body.winner.votes, 1);
+            
+            results = await testApp.request('/api/votes/results?month=2024-02');
+            assert.equal(results.body.winner, null);
+            assert.notEqual(results.body.decidedAt, null);
+            
+            winners = await testApp.request('/api/votes/winners');
+            assert.deepEqual(winners.body.winners.map(winner => [winner.month, winner.gameId]), [['2024-01', '11']]);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('rejects unknown body fields', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const { status, body } = await testApp.request('/api/nominations', {
+                method: 'POST',
+                bot: true,
+                body: { raUsername: 'alice', gameId: '10', points: 5 }
+            });
+            
+            assert.equal(status, 400);
+            assert.deepEqual(body.error.details, ['points is not a recognized field']);
+        } finally {
+            await testApp.close();
+        }
+    });
+});
@@ -0,0 +1,56 @@
+// test/rate-limit.test.js
+// Rate limiting: per-IP buckets for every request, and a bucket per valid API key
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_DATABASE, startDatabase, startApp } from './helpers.js';
+
+const mongoServer = await startDatabase();
+
+describe('rate limiting', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('counts made-up keys against the IP instead of giving each one a bucket', async () => {
+        const testApp = await startApp(mongoServer, {
+            env: { RATE_LIMIT_READ_CAPACITY: '3', RATE_LIMIT_READ_REFILL_PER_MINUTE: '1' }
+        });
+        try {
+            const statuses = [];
+            for (let i = 0; i < 4; i++) {
+                const { status } = await testApp.request('/api/nominations', { headers: { 'x-api-key': `guess-${i}` } });
+                statuses.push(status);
+            }
+            
+            assert.deepEqual(statuses, [401, 401, 401, 429]);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('takes a token from both the IP and the key', async () => {
+        const testApp = await startApp(mongoServer, {
+            env: { RATE_LIMIT_READ_CAPACITY: '3', RATE_LIMIT_READ_REFILL_PER_MINUTE: '1' }
+        });
+        try {
+            const created = await testApp.request('/api/admin/api-keys', {
+                method: 'POST',
+                admin: true,
+                body: { label: 'Reader', scopes: ['nominations:read'] }
+            });
+            assert.equal(created.status, 201);
+            
+            const first = await testApp.request('/api/nominations', { headers: { 'x-api-key': created.body.key } });
+            assert.equal(first.status, 200);
+            assert.equal(first.headers.get('ratelimit-remaining'), '2');
+            
+            // The public key only has the IP's bucket, which the scoped key also drew from
+            const second = await testApp.request('/api/nominations');
+            assert.equal(second.status, 200);
+            assert.equal(second.headers.get('ratelimit-remaining'), '1');
+        } finally {
+            await testApp.close();
+        }
+    });
+});
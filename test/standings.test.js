@@ -0,0 +1,77 @@
+// test/standings.test.js
+// Leaderboard stream diffs and ballot tallies
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLeaderboards, tallyBallot } from '../standings.js';
+
+// Helper function to build a monthly leaderboard from [username, monthlyPoints, shadowPoints, rank] rows
+function leaderboard(rows, lastUpdated = '2025-01-02T00:00:00.000Z') {
+    return {
+        challenge: { month: '2025-01' },
+        leaderboard: rows.map(([username, monthlyPoints, shadowPoints, rank]) => ({ username, monthlyPoints, shadowPoints, rank })),
+        lastUpdated
+    };
+}
+
+describe('diffLeaderboards', () => {
+    it('returns null when nothing changed', () => {
+        const board = leaderboard([['alice', 3, 0, 1], ['bob', 1, 0, 2]]);
+        assert.equal(diffLeaderboards(board, leaderboard([['alice', 3, 0, 1], ['bob', 1, 0, 2]])), null);
+    });
+    
+    it('reports rank changes, tiers reached, updated rows and removed users', () => {
+        const previous = leaderboard([['alice', 2, 0, 1], ['bob', 1, 0, 2], ['carol', 1, 0, 2]]);
+        const current = leaderboard([['bob', 3, 2, 1], ['alice', 2, 0, 2], ['dave', 1, 0, 3]], '2025-01-03T00:00:00.000Z');
+        
+        const diff = diffLeaderboards(previous, current);
+        
+        assert.equal(diff.month, '2025-01');
+        assert.equal(diff.lastUpdated, '2025-01-03T00:00:00.000Z');
+        assert.deepEqual(diff.rankChanges, [
+            { username: 'bob', previousRank: 2, rank: 1 },
+            { username: 'alice', previousRank: 1, rank: 2 },
+            { username: 'dave', previousRank: null, rank: 3 }
+        ]);
+        assert.deepEqual(diff.tiersReached, [
+            { username: 'bob', game: 'monthly', tier: 'mastery' },
+            { username: 'bob', game: 'shadow', tier: 'beaten' },
+            { username: 'dave', game: 'monthly', tier: 'participation' }
+        ]);
+        assert.deepEqual(diff.updated.map(row => row.username), ['bob', 'alice', 'dave']);
+        assert.deepEqual(diff.removed, ['carol']);
+    });
+    
+    it('does not report a tier for points that went down', () => {
+        const diff = diffLeaderboards(leaderboard([['alice', 3, 0, 1]]), leaderboard([['alice', 2, 0, 1]]));
+        
+        assert.deepEqual(diff.rankChanges, []);
+        assert.deepEqual(diff.tiersReached, []);
+        assert.deepEqual(diff.updated.map(row => row.username), ['alice']);
+    });
+});
+
+describe('tallyBallot', () => {
+    const games = ['10', '11', '12'].map(gameId => ({ gameId, gameTitle: `Game ${gameId}`, consoleName: 'SNES' }));
+    const votes = gameIds => gameIds.map(gameId => ({ gameId }));
+    
+    it('counts votes per game, most votes first', () => {
+        assert.deepEqual(
+            tallyBallot({ games, votes: votes(['12', '11', '12']) }).map(tally => [tally.gameId, tally.votes]),
+            [['12', 2], ['11', 1], ['10', 0]]
+        );
+    });
+    
+    it('keeps the ballot order for ties', () => {
+        assert.deepEqual(
+            tallyBallot({ games, votes: votes(['12', '11']) }).map(tally => tally.gameId),
+            ['11', '12', '10']
+        );
+        assert.deepEqual(tallyBallot({ games, votes: [] }).map(tally => tally.gameId), ['10', '11', '12']);
+    });
+    
+    it('ignores votes for games that are not on the ballot', () => {
+        const [top] = tallyBallot({ games, votes: votes(['99', '99', '10']) });
+        assert.deepEqual(top, { gameId: '10', gameTitle: 'Game 10', consoleName: 'SNES', votes: 1 });
+    });
+});
@@ -0,0 +1,76 @@
+// test/stream.test.js
+// Live leaderboard stream: authentication from the query string, the snapshot
+// sent on connect and the diffs that follow
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_DATABASE, API_KEY, startDatabase, startApp, createChallenge, createUser, monthStart, monthKey, monthParam } from './helpers.js';
+
+const mongoServer = await startDatabase();
+
+describe('leaderboard stream', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('accepts the API key as ?apiKey= for EventSource clients', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            await createChallenge(testApp.models, monthStart());
+            
+            const stream = await testApp.stream(`/api/stream/leaderboard?apiKey=${API_KEY}`);
+            try {
+                assert.equal(stream.status, 200);
+                assert.match(stream.headers.get('content-type'), /text\/event-stream/);
+                assert.ok(stream.headers.get('ratelimit-remaining'));
+                
+                const { event, data } = await stream.nextEvent();
+                assert.equal(event, 'snapshot');
+                assert.deepEqual(data.leaderboard, []);
+            } finally {
+                stream.close();
+            }
+            
+            const unauthorized = await testApp.stream('/api/stream/leaderboard?apiKey=wrong');
+            assert.equal(unauthorized.status, 401);
+            unauthorized.close();
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('sends what changed as a diff and leaves Discord IDs out', async () => {
+        const testApp = await startApp(mongoServer, { env: { STREAM_POLL_INTERVAL_SECONDS: '1' } });
+        try {
+            const key = monthKey(monthStart());
+            await createChallenge(testApp.models, monthStart());
+            await createUser(testApp.models, 'alice', { monthly: { [key]: { progress: 1, achievements: 3 } } });
+            
+            const stream = await testApp.stream(`/api/stream/leaderboard?apiKey=${API_KEY}`);
+            try {
+                const snapshot = await stream.nextEvent();
+                assert.equal(snapshot.event, 'snapshot');
+                assert.deepEqual(snapshot.data.leaderboard.map(row => [row.username, row.rank]), [['alice', 1]]);
+                assert.ok(snapshot.data.leaderboard.every(row => !('discordId' in row)));
+                
+                await createUser(testApp.models, 'bob', { monthly: { [key]: { progress: 3, achievements: 20 } } });
+                
+                const { event, data } = await stream.nextEvent();
+                assert.equal(event, 'diff');
+                assert.equal(data.month, monthParam(monthStart()));
+                assert.deepEqual(data.rankChanges, [
+                    { username: 'bob', previousRank: null, rank: 1 },
+                    { username: 'alice', previousRank: 1, rank: 2 }
+                ]);
+                assert.deepEqual(data.tiersReached, [{ username: 'bob', game: 'monthly', tier: 'mastery' }]);
+                assert.deepEqual(data.updated.map(row => row.username), ['bob', 'alice']);
+                assert.ok(data.updated.every(row => !('discordId' in row)));
+                assert.deepEqual(data.removed, []);
+            } finally {
+                stream.close();
+            }
+        } finally {
+            await testApp.close();
+        }
+    });
+});
@@ -0,0 +1,167 @@
+// test/webhooks.test.js
+// Outbound webhooks: signed deliveries to a local receiver, retries with backoff
+// and the delivery log
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { NO_DATABASE, startDatabase, startApp, createChallenge, monthStart } from './helpers.js';
+
+// Start a receiver that records every request and answers with the next status
+// from `statuses`, then 200 once they run out
+async function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+            res.statusCode = statuses.shift() || 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Helper function to wait until a check passes, polling every 50ms
+async function waitFor(check, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+const mongoServer = await startDatabase();
+
+describe('webhooks', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('signs deliveries, retries a failed one after a delay and logs every attempt', async () => {
+        const receiver = await startReceiver([500]);
+        const testApp = await startApp(mongoServer, {
+            env: { WEBHOOK_RETRY_BASE_SECONDS: '1', WEBHOOK_POLL_INTERVAL_SECONDS: '1' }
+        });
+        try {
+            const registered = await testApp.request('/api/admin/webhooks', {
+                method: 'POST',
+                admin: true,
+                body: { url: receiver.url, events: ['challenge.shadow_revealed'] }
+            });
+            assert.equal(registered.status, 201);
+            const { id: webhookId, secret } = registered.body;
+            
+            // The background sender picks up retries
+            testApp.api.start();
+            
+            const challenge = await createChallenge(testApp.models, monthStart(), { shadow_challange_gameid: '2000' });
+            const reveal = await testApp.request(`/api/admin/challenges/${challenge._id}/shadow-reveal`, {
+                method: 'POST',
+                admin: true,
+                body: { revealed: true }
+            });
+            assert.equal(reveal.status, 200);
+            
+            await waitFor(() => receiver.requests.length >= 2);
+            
+            for (const { headers, body } of receiver.requests) {
+                const expected = 'sha256=' + crypto.createHmac('sha256', secret)
+                    .update(`${headers['x-webhook-timestamp']}.${body}`)
+                    .digest('hex');
+                assert.equal(headers['x-webhook-signature'], expected);
+                assert.equal(headers['x-webhook-event'], 'challenge.shadow_revealed');
+                assert.equal(JSON.parse(body).data.shadowGame, '2000');
+            }
+            
+            // Both attempts are the same delivery, the second after the backoff
+            const [first, second] = receiver.requests;
+            assert.equal(first.headers['x-webhook-delivery'], second.headers['x-webhook-delivery']);
+            assert.equal(first.body, second.body);
+            assert.ok(second.receivedAt - first.receivedAt >= 1000);
+            
+            let deliveries;
+            await waitFor(async () => {
+                ({ body: { deliveries } } = await testApp.request(`/api/admin/webhooks/${webhookId}/deliveries`, { admin: true }));
+                return deliveries.length === 1 && deliveries[0].status === 'delivered';
+            });
+            assert.deepEqual(
+                deliveries[0].attempts.map(attempt => [attempt.statusCode, attempt.error]),
+                [[500, 'Receiver responded with HTTP 500'], [200, null]]
+            );
+            assert.equal(deliveries[0].payload.event, 'challenge.shadow_revealed');
+            
+            const stored = await testApp.models.WebhookDelivery.findById(deliveries[0].id);
+            assert.equal(stored.status, 'delivered');
+            assert.equal(stored.attempts.length, 2);
+        } finally {
+            await testApp.close();
+            await receiver.close();
+        }
+    });
+    
+    it('only reveals the shadow game through the reveal route', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            await testApp.request('/api/admin/webhooks', {
+                method: 'POST',
+                admin: true,
+                body: { url: 'http://127.0.0.1:1/hook', events: ['challenge.shadow_revealed'] }
+            });
+            const challenge = await createChallenge(testApp.models, monthStart(), { shadow_challange_gameid: '2000' });
+            
+            const update = await testApp.request(`/api/admin/challenges/${challenge._id}`, {
+                method: 'PUT',
+                admin: true,
+                body: { shadow_challange_revealed: true }
+            });
+            assert.equal(update.status, 400);
+            assert.deepEqual(update.body.error.details, ['shadow_challange_revealed is not a recognized field']);
+            
+            const stored = await testApp.models.Challenge.findById(challenge._id);
+            assert.equal(stored.shadow_challange_revealed, false);
+            assert.equal(await testApp.models.WebhookDelivery.countDocuments(), 0);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('gives up after the configured number of attempts', async () => {
+        const receiver = await startReceiver([500, 500]);
+        const testApp = await startApp(mongoServer, {
+            env: { WEBHOOK_MAX_ATTEMPTS: '2', WEBHOOK_RETRY_BASE_SECONDS: '1', WEBHOOK_POLL_INTERVAL_SECONDS: '1' }
+        });
+        try {
+            const registered = await testApp.request('/api/admin/webhooks', {
+                method: 'POST',
+                admin: true,
+                body: { url: receiver.url, events: ['challenge.shadow_revealed'] }
+            });
+            testApp.api.start();
+            
+            const challenge = await createChallenge(testApp.models, monthStart(), { shadow_challange_gameid: '2000' });
+            await testApp.request(`/api/admin/challenges/${challenge._id}/shadow-reveal`, {
+                method: 'POST',
+                admin: true,
+                body: { revealed: true }
+            });
+            
+            await waitFor(async () => {
+                const delivery = await testApp.models.WebhookDelivery.findOne({ webhookId: registered.body.id });
+                return delivery && delivery.status === 'failed';
+            });
+            assert.equal(receiver.requests.length, 2);
+        } finally {
+            await testApp.close();
+            await receiver.close();
+        }
+    });
+});
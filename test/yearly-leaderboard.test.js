@@ -0,0 +1,242 @@
+// test/yearly-leaderboard.test.js
+// Yearly leaderboard: tier scoring, shared ranks and community awards near the
+// year boundary, plus the all-time leaderboard and hall of fame built from it
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_DATABASE, startDatabase, startApp, createChallenge, createUser, monthKey } from './helpers.js';
+
+const mongoServer = await startDatabase();
+
+describe('yearly leaderboard', { skip: !mongoServer && NO_DATABASE }, () => {
+    after(async () => {
+        await mongoServer.stop();
+    });
+    
+    it('scores each tier and gives tied users the same rank', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const year = new Date().getUTCFullYear();
+            await createChallenge(testApp.models, new Date(Date.UTC(year, 0, 1)));
+            await createChallenge(testApp.models, new Date(Date.UTC(year, 1, 1)));
+            
+            // 3 + 1 = 4 points each for alice and bob, 2 + 1 (shadow) = 3 for carol
+            await createUser(testApp.models, 'alice', {
+                monthly: { [`${year}-01-01`]: { progress: 3 }, [`${year}-02-01`]: { progress: 1 } }
+            });
+            await createUser(testApp.models, 'bob', {
+                monthly: { [`${year}-01-01`]: { progress: 1 }, [`${year}-02-01`]: { progress: 3 } }
+            });
+            await createUser(testApp.models, 'carol', {
+                monthly: { [`${year}-01-01`]: { progress: 2 } },
+                shadow: { [`${year}-01-01`]: { progress: 1 } }
+            });
+            // Progress from another year doesn't count
+            await createUser(testApp.models, 'dave', {
+                monthly: { [`${year - 1}-12-01`]: { progress: 3 } }
+            });
+            
+            const { status, body } = await testApp.request('/api/leaderboard/yearly');
+            
+            assert.equal(status, 200);
+            assert.equal(body.year, year);
+            assert.equal(body.challengeCount, 2);
+            assert.deepEqual(
+                body.leaderboard.map(row => [row.username, row.rank, row.yearlyPoints]),
+                [['alice', 1, 4], ['bob', 1, 4], ['carol', 3, 3]]
+            );
+            assert.deepEqual(body.leaderboard[2].stats, {
+                mastery: 0,
+                beaten: 1,
+                participation: 0,
+                shadowBeaten: 0,
+                shadowParticipation: 1
+            });
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('counts community awards in the year they were granted in the community time zone', async () => {
+        const testApp = await startApp(mongoServer, { env: { COMMUNITY_TIME_ZONE: 'America/New_York' } });
+        try {
+            const year = new Date().getUTCFullYear();
+            
+            // 03:00 UTC on January 1st is still December 31st in New York
+            await createUser(testApp.models, 'alice', {
+                communityAwards: [{ title: 'Helper', points: 5, awardedAt: new Date(Date.UTC(year, 0, 1, 3)), awardedBy: 'admin' }]
+            });
+            // 06:00 UTC is after midnight in New York
+            await createUser(testApp.models, 'bob', {
+                communityAwards: [{ title: 'Helper', points: 2, awardedAt: new Date(Date.UTC(year, 0, 1, 6)), awardedBy: 'admin' }]
+            });
+            
+            const thisYear = await testApp.request(`/api/leaderboard/yearly?year=${year}`);
+            assert.deepEqual(thisYear.body.leaderboard.map(row => [row.username, row.yearlyPoints]), [['bob', 2]]);
+            
+            const lastYear = await testApp.request(`/api/leaderboard/yearly?year=${year - 1}`);
+            assert.deepEqual(lastYear.body.leaderboard.map(row => [row.username, row.yearlyPoints]), [['alice', 5]]);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('files an award granted through the API under its year', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const year = new Date().getUTCFullYear();
+            await createUser(testApp.models, 'alice', {
+                monthly: { [`${year}-01-01`]: { progress: 1 } }
+            });
+            
+            let { body } = await testApp.request('/api/leaderboard/yearly');
+            assert.equal(body.leaderboard[0].yearlyPoints, 1);
+            
+            const grant = await testApp.request('/api/admin/users/Alice/awards', {
+                method: 'POST',
+                admin: true,
+                body: { title: 'Event winner', points: 3, awardedBy: 'admin' }
+            });
+            assert.equal(grant.status, 201);
+            
+            ({ body } = await testApp.request('/api/leaderboard/yearly'));
+            assert.equal(body.leaderboard[0].yearlyPoints, 4);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('removes a deleted user from frozen years and stored webhook events', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const lastYear = new Date().getUTCFullYear() - 1;
+            await createChallenge(testApp.models, new Date(Date.UTC(lastYear, 5, 1)));
+            for (const name of ['alice', 'bob']) {
+                await createUser(testApp.models, name, { monthly: { [`${lastYear}-06-01`]: { progress: 3 } } });
+            }
+            await testApp.models.WebhookEvent.create({
+                event: 'challenge.tier_reached',
+                data: { month: `${lastYear}-06`, username: 'alice', discordId: 'discord-alice', tier: 'mastery' }
+            });
+            
+            // Viewing a finished year freezes it
+            let { body } = await testApp.request(`/api/leaderboard/yearly?year=${lastYear}`);
+            assert.deepEqual(body.leaderboard.map(row => row.username).sort(), ['alice', 'bob']);
+            
+            const deleted = await testApp.request('/api/admin/users/alice', { method: 'DELETE', admin: true });
+            assert.equal(deleted.status, 200);
+            
+            const snapshot = await testApp.models.YearSnapshot.findOne({ year: lastYear }).lean();
+            assert.deepEqual(snapshot.yearly.leaderboard.map(row => row.username), ['bob']);
+            assert.deepEqual(snapshot.months[0].winners.map(row => row.username), ['bob']);
+            
+            const webhookEvent = await testApp.models.WebhookEvent.findOne({ event: 'challenge.tier_reached' }).lean();
+            assert.equal(webhookEvent.data.username, null);
+            assert.equal(webhookEvent.data.discordId, null);
+            
+            ({ body } = await testApp.request(`/api/leaderboard/yearly?year=${lastYear}`));
+            assert.deepEqual(body.leaderboard.map(row => row.username), ['bob']);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('keeps new point systems out of frozen years', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const lastYear = new Date().getUTCFullYear() - 1;
+            await createChallenge(testApp.models, new Date(Date.UTC(lastYear, 5, 1)));
+            await createUser(testApp.models, 'alice', { monthly: { [`${lastYear}-06-01`]: { progress: 3 } } });
+            
+            let { body } = await testApp.request(`/api/leaderboard/yearly?year=${lastYear}`);
+            const points = body.leaderboard[0].yearlyPoints;
+            
+            const rules = { mastery: 100, beaten: 50, participation: 10, shadowBeaten: 20, shadowParticipation: 5 };
+            const rejected = await testApp.request('/api/admin/point-systems', {
+                method: 'POST',
+                admin: true,
+                body: { effectiveYear: lastYear, ...rules }
+            });
+            assert.equal(rejected.status, 409);
+            
+            const accepted = await testApp.request('/api/admin/point-systems', {
+                method: 'POST',
+                admin: true,
+                body: { effectiveYear: lastYear + 1, ...rules }
+            });
+            assert.equal(accepted.status, 201);
+            
+            ({ body } = await testApp.request(`/api/point-system?year=${lastYear}`));
+            assert.notEqual(body.pointSystem.mastery, 100);
+            
+            ({ body } = await testApp.request(`/api/leaderboard/yearly?year=${lastYear}`));
+            assert.equal(body.leaderboard[0].yearlyPoints, points);
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('adds up every year for the all-time leaderboard, hall of fame and streaks', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const lastYear = new Date().getUTCFullYear() - 1;
+            const months = [
+                new Date(Date.UTC(lastYear - 1, 11, 1)),
+                new Date(Date.UTC(lastYear, 0, 1)),
+                new Date(Date.UTC(lastYear, 1, 1)),
+                new Date(Date.UTC(lastYear, 2, 1))
+            ];
+            for (const date of months) {
+                await createChallenge(testApp.models, date);
+            }
+            
+            // Progress per challenge month, oldest first
+            const progress = values => Object.fromEntries(values
+                .map((value, index) => [monthKey(months[index]), { progress: value }])
+                .filter(([, entry]) => entry.progress > 0));
+            await createUser(testApp.models, 'alice', { monthly: progress([0, 2, 2, 1]) });
+            await createUser(testApp.models, 'bob', { monthly: progress([3, 1, 0, 3]) });
+            
+            let { status, body } = await testApp.request('/api/leaderboard/all-time');
+            assert.equal(status, 200);
+            assert.deepEqual(body.years, [lastYear - 1, lastYear]);
+            assert.deepEqual(
+                body.leaderboard.map(row => [row.username, row.rank, row.allTimePoints, row.yearsRanked, row.championships]),
+                [['bob', 1, 7, 2, 1], ['alice', 2, 5, 1, 1]]
+            );
+            
+            // A month with only participation ends a beaten streak but not a participation one
+            const streaks = Object.fromEntries(body.leaderboard.map(row => [row.username, row.streaks]));
+            assert.deepEqual(streaks.alice, { participation: { current: 3, longest: 3 }, beaten: { current: 0, longest: 2 } });
+            assert.deepEqual(streaks.bob, { participation: { current: 1, longest: 2 }, beaten: { current: 1, longest: 1 } });
+            
+            ({ body } = await testApp.request('/api/leaderboard/all-time?user=ALICE&fields=username,rank'));
+            assert.deepEqual(body.leaderboard, [{ username: 'alice', rank: 2 }]);
+            
+            ({ status, body } = await testApp.request('/api/hall-of-fame'));
+            assert.equal(status, 200);
+            assert.deepEqual(
+                body.years.map(year => [year.year, year.final, year.champions.map(champion => [champion.username, champion.yearlyPoints])]),
+                [[lastYear, true, [['alice', 5]]], [lastYear - 1, true, [['bob', 3]]]]
+            );
+            assert.deepEqual(
+                body.years[0].months.map(month => [month.month, month.winners.map(winner => winner.username)]),
+                [[`${lastYear}-03`, ['bob']], [`${lastYear}-02`, ['alice']], [`${lastYear}-01`, ['alice']]]
+            );
+        } finally {
+            await testApp.close();
+        }
+    });
+    
+    it('rejects a year that is not a number instead of computing NaN', async () => {
+        const testApp = await startApp(mongoServer);
+        try {
+            const { status, body } = await testApp.request('/api/leaderboard/yearly?year=abc');
+            
+            assert.equal(status, 400);
+            assert.deepEqual(body.error.details, ['year must be a four-digit year']);
+        } finally {
+            await testApp.close();
+        }
+    });
+});